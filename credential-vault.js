@@ -0,0 +1,148 @@
+const fs = require('fs').promises
+const crypto = require('crypto')
+
+// Entries are keyed by scope: a single device IP, a device tag or a brand
+const SCOPES = ['ip', 'tag', 'brand']
+
+const KEY_LENGTH = 32
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 }
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, KEY_LENGTH, SCRYPT_OPTIONS)
+}
+
+function entryKey(scope, value) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown vault scope "${scope}" (expected ${SCOPES.join(', ')})`)
+  }
+  // Tags and brands are matched case-insensitively
+  return `${scope}:${scope === 'ip' ? value : String(value).toLowerCase()}`
+}
+
+// Encrypted credential store (AES-256-GCM, key derived with scrypt from a
+// master passphrase or the contents of a key file)
+class CredentialVault {
+  constructor(file, secret) {
+    this.file = file
+    this.secret = secret
+    this.entries = {}
+  }
+
+  static async exists(file) {
+    try {
+      await fs.access(file)
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  // Master secret: VAULT_PASSPHRASE, or the contents of VAULT_KEY_FILE
+  static async getSecretFromEnvironment() {
+    if (process.env.VAULT_PASSPHRASE) {
+      return process.env.VAULT_PASSPHRASE
+    }
+    if (process.env.VAULT_KEY_FILE) {
+      return (await fs.readFile(process.env.VAULT_KEY_FILE, 'utf8')).trim()
+    }
+    return null
+  }
+
+  static async open(file, secret) {
+    const vault = new CredentialVault(file, secret)
+    if (await CredentialVault.exists(file)) {
+      await vault.load()
+    }
+    return vault
+  }
+
+  async load() {
+    const stored = JSON.parse(await fs.readFile(this.file, 'utf8'))
+    const key = deriveKey(this.secret, Buffer.from(stored.salt, 'base64'))
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'))
+
+    let plain
+    try {
+      plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()])
+    } catch {
+      throw new Error('Unable to unlock credential vault: wrong passphrase or key file')
+    }
+    this.entries = JSON.parse(plain.toString('utf8')).entries || {}
+  }
+
+  async save() {
+    const salt = crypto.randomBytes(16)
+    const iv = crypto.randomBytes(12)
+    const key = deriveKey(this.secret, salt)
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify({ entries: this.entries }), 'utf8'), cipher.final()])
+
+    const stored = {
+      version: 1,
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }
+
+    // Write to a temp file first so an interrupted save never corrupts the vault
+    const tempFile = `${this.file}.tmp`
+    await fs.writeFile(tempFile, JSON.stringify(stored, null, 2), { encoding: 'utf8', mode: 0o600 })
+    await fs.rename(tempFile, this.file)
+  }
+
+  get(scope, value) {
+    return this.entries[entryKey(scope, value)] || null
+  }
+
+  set(scope, value, credentials) {
+    const current = this.get(scope, value) || {}
+    this.entries[entryKey(scope, value)] = {
+      ...current,
+      ...credentials,
+      updatedAt: new Date().toISOString()
+    }
+  }
+
+  remove(scope, value) {
+    const key = entryKey(scope, value)
+    const existed = key in this.entries
+    delete this.entries[key]
+    return existed
+  }
+
+  // Entry list without secrets, for display
+  list() {
+    return Object.entries(this.entries).map(([key, entry]) => {
+      const [scope, ...rest] = key.split(':')
+      return {
+        scope,
+        value: rest.join(':'),
+        username: entry.username || null,
+        hasPassword: Boolean(entry.password),
+        hasEnableSecret: Boolean(entry.enableSecret),
+        updatedAt: entry.updatedAt
+      }
+    })
+  }
+
+  // All entries matching a device, most specific first: device IP, the device's tags in order, its brand
+  resolveAll(device) {
+    const candidates = [['ip', device.ip]]
+    for (const tag of device.tags || []) {
+      candidates.push(['tag', tag])
+    }
+    const brand = device.brand || device.vendor
+    if (brand) {
+      candidates.push(['brand', brand])
+    }
+
+    return candidates
+      .map(([scope, value]) => ({ scope, value, entry: this.get(scope, value) }))
+      .filter(match => match.entry)
+  }
+}
+
+module.exports = { CredentialVault, SCOPES }
@@ -0,0 +1,77 @@
+// Minimal expect/send helper over a shell stream (telnet-client or SSH), used for
+// scripted login dialogues
+class ExpectSession {
+  constructor(stream) {
+    this.stream = stream
+    this.buffer = ''
+    this.waiter = null
+    this.onData = data => {
+      // Drop telnet negotiation bytes, which raw sessions pass through
+      this.buffer += data.toString('latin1').replace(/\xff[\xfb-\xfe]./g, '')
+      this.check()
+    }
+    this.stream.on('data', this.onData)
+    // A write to a session the device has closed fails with an 'error' event, which would end the
+    // process if unhandled; it fails the pending expect() instead
+    this.error = null
+    this.onError = error => {
+      this.error = error
+      if (this.waiter) {
+        clearTimeout(this.waiter.timer)
+        const { reject } = this.waiter
+        this.waiter = null
+        reject(error)
+      }
+    }
+    this.stream.on('error', this.onError)
+  }
+
+  check() {
+    if (!this.waiter) return
+    const { patterns, resolve } = this.waiter
+    for (let index = 0; index < patterns.length; index++) {
+      const match = this.buffer.match(patterns[index])
+      if (match) {
+        const before = this.buffer.slice(0, match.index)
+        this.buffer = this.buffer.slice(match.index + match[0].length)
+        clearTimeout(this.waiter.timer)
+        this.waiter = null
+        resolve({ index, match, before })
+        return
+      }
+    }
+  }
+
+  // Resolve with the first pattern found in the output, or reject after timeoutMs
+  expect(patterns, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      if (this.error) {
+        reject(this.error)
+        return
+      }
+      const timer = setTimeout(() => {
+        this.waiter = null
+        const error = new Error(`timeout waiting for ${patterns.map(pattern => pattern.toString()).join(' or ')}`)
+        error.output = this.buffer
+        reject(error)
+      }, timeoutMs)
+      this.waiter = { patterns, resolve, reject, timer }
+      this.check()
+    })
+  }
+
+  send(text) {
+    this.stream.write(text)
+  }
+
+  close() {
+    if (this.waiter) {
+      clearTimeout(this.waiter.timer)
+      this.waiter = null
+    }
+    this.stream.removeListener('data', this.onData)
+    this.stream.destroy()
+  }
+}
+
+module.exports = { ExpectSession }
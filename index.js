@@ -4,9 +4,118 @@ require('dotenv').config()
 const fs = require('fs').promises
 const path = require('path')
 const { Telnet } = require('telnet-client')
+const { SshClient } = require('./ssh-client')
+const { CredentialVault } = require('./credential-vault')
+const { JumpHostPool } = require('./jump-host')
+const { ExpectSession } = require('./expect-session')
+const { OutputWriter } = require('./output-writer')
+const { SessionTranscript } = require('./session-transcript')
 const chalk = require('chalk')
 const inquirer = require('inquirer')
 const winston = require('winston')
+const { readFileSync } = require('fs')
+const crypto = require('crypto')
+const iconv = require('iconv-lite')
+
+// Login script outcomes: a rejected login moves on to the next credential set,
+// other failures (busy device) are retried with backoff
+const DEFAULT_AUTH_FAILURE_PATTERNS = ['Login incorrect', 'Login invalid', 'Authentication failed', 'Access denied', 'Bad password', 'Wrong password']
+const DEFAULT_LOGIN_FAILURE_PATTERNS = ['Too many users', 'Maximum number of', 'Session limit', 'Connection refused']
+
+// Built-in pagination prompts, used when neither the device nor its brand settings define paginationPrompts
+const DEFAULT_DLINK_PAGINATION_PROMPTS = [
+  /Quit.*SPACE.*Next.*Page/i,
+  /SPACE.*n.*Next.*Page/i,
+  /ENTER.*Next.*Entry.*a.*All/i,
+  /a All/i,
+  /CTRL\+C ESC q Quit SPACE n Next Page ENTER Next Entry a All\s*/i,   // backup exact pattern
+  /Press any key to continue \(Q to quit\)/i,
+  /CTRL\+C ESC q Quit SPACE n Next Page\s*/i
+]
+const DEFAULT_PAGINATION_PROMPTS = [
+  /--More--/i,
+  /\s+--More--\s*/i,    // BDCOM specific pattern with spaces
+  /---- More ----/i,     // Huawei
+  /Press any key to continue/i,
+  /Press SPACE to continue/i,
+  /Press Enter to continue/i,
+  /\[Press 'A' for All or ENTER to continue\]/i,
+  /Type <CR> to continue/i,
+  /More\s*$/i
+]
+
+// CLI error signatures: output starting with one of these is a rejected command, not data
+const DEFAULT_CLI_ERROR_PATTERNS = [
+  '% Invalid input detected',
+  '% Incomplete command',
+  '% Ambiguous command',
+  '% Unknown command',
+  '% Unrecognized command',
+  'Error: Unrecognized command',
+  'Unrecognized command found',
+  'Error: Wrong parameter found',
+  'Error: Incomplete command found',
+  'Available commands:',
+  'Next possible completions:',
+  'Permission denied',
+  'Command not found'
+]
+// Errors appear right after the echoed command, so only the head of the output is checked
+// (a banner or description further down may legitimately contain the same words)
+const CLI_ERROR_CHECK_LINES = 10
+
+// Built-in sanitiser rules per brand, applied before brand/device sanitizeRules.
+// "only" limits a rule to one command category (config, mac, ...).
+const DEFAULT_SANITIZE_RULES = {
+  'd-link': [
+    // Logout (echo, banner) of the last command in a session
+    { pattern: /^(logout[ \t]*\n)?Command: logout.*$/gms },
+    { pattern: /\*+\s*Logout\s*\*+/gs },
+    // Config remnants that leak into MAC table output
+    { pattern: /^#.*$/gm, only: 'mac' },
+    { pattern: /^config .*$/gm, only: 'mac' },
+    { pattern: /^create .*$/gm, only: 'mac' },
+    { pattern: /^disable .*$/gm, only: 'mac' },
+    { pattern: /^enable .*$/gm, only: 'mac' },
+    { pattern: /^\s*DGS-.*$/gm, only: 'mac' },
+    { pattern: /^\s*\n/gm, only: 'mac' }
+  ]
+}
+DEFAULT_SANITIZE_RULES['dlink'] = DEFAULT_SANITIZE_RULES['d-link']
+
+// Built-in session preamble (disable paging) and postamble per brand, used when neither the
+// device nor its brand settings define sessionPreamble / sessionPostamble
+const DEFAULT_SESSION_COMMANDS = {
+  'cisco': { sessionPreamble: ['terminal length 0'] },
+  'huawei': { sessionPreamble: ['screen-length 0 temporary'] },
+  'd-link': { sessionPreamble: ['disable clipaging'], sessionPostamble: ['enable clipaging', 'logout'] },
+  'dlink': { sessionPreamble: ['disable clipaging'], sessionPostamble: ['enable clipaging', 'logout'] },
+  'bdcom': { sessionPreamble: ['terminal length 0'] }
+}
+
+// Command category names double as directory names, so they are kept path-safe
+const CATEGORY_NAME = /^[\w-]+$/
+// Options a command list entry may carry for itself (see getCommandSettings)
+const COMMAND_OPTIONS = ['timeout', 'inactivityTimeout', 'connectionMethod', 'paginationInput', 'completionPattern', 'errorPatterns', 'output']
+
+// Vendor fingerprints for devices without a known brand, matched against the login text and then
+// against the output of the version probes; model captures the model name when it is shown
+const DEFAULT_VENDOR_SIGNATURES = [
+  { brand: 'D-Link', pattern: /D-Link|\b(DGS|DES|DXS|DWS)-\d{4}/i, model: /\b((?:DGS|DES|DXS|DWS)-\d{4}[\w/-]*)/i },
+  { brand: 'Huawei', pattern: /Huawei Versatile Routing Platform|HUAWEI TECH|Quidway/i, model: /(?:HUAWEI|Quidway)\s+(\S+)\s+.*uptime/i },
+  { brand: 'BDCOM', pattern: /BDCOM/i, model: /BDCOM\(tm\)\s+(\S+)\s+Software/i },
+  { brand: 'ZyXEL', pattern: /ZyXEL|ZyNOS/i, model: /(?:Product Model|Model Name)\s*:\s*(\S+)/i },
+  { brand: 'Cisco', pattern: /Cisco IOS|Cisco Internetwork Operating System|Cisco Nexus/i, model: /(?:cisco\s+(\S+)\s+\([^)]*\)\s+processor|Model number\s*:\s*(\S+))/i }
+]
+// Probe order by prompt shape: <sysname> is Huawei-style, name:level# is D-Link-style
+const VENDOR_PROBES = {
+  'angle': ['display version', 'show version', 'show switch'],
+  'level': ['show switch', 'show version', 'display version'],
+  'default': ['show version', 'display version', 'show switch']
+}
+
+// Password files and descriptors are read once per process (stdin cannot be re-read)
+const passwordSourceCache = new Map()
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -33,11 +142,31 @@ const logger = winston.createLogger({
 class NetworkDeviceCollector {
   constructor(devicesFileOverride = null) {
     this.devices = []
+    this.fileSettings = {}
     this.brandSettings = {}
     this.globalPassword = null
+    // File descriptor to read the password from (0 = stdin), see --password-stdin
+    this.passwordFd = process.env.DEVICE_PASSWORD_FD || null
     this.configsDir = process.env.CONFIGS_DIR || './configs'
     this.macTablesDir = process.env.MAC_TABLES_DIR || './mac_tables'
+    // Other command categories are saved in OUTPUT_DIR/<category> unless configured otherwise
+    this.outputDir = process.env.OUTPUT_DIR || './output'
     this.logsDir = process.env.LOGS_DIR || './logs'
+    // Command categories to collect (--collect=version,lldp); null collects every category
+    this.collectCategories = null
+    // Command → file map of this run per device and category, merged into the manifest at the end
+    this.manifestFile = process.env.MANIFEST_FILE || path.join(this.outputDir, 'manifest.json')
+    this.manifest = {}
+
+    // Retry settings for connections and commands (MAX_RETRIES=0 disables retries)
+    const maxRetries = parseInt(process.env.MAX_RETRIES)
+    this.maxRetries = Number.isNaN(maxRetries) ? 3 : Math.max(0, maxRetries)
+    this.retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY) || 1000
+    this.retryMaxDelay = parseInt(process.env.RETRY_MAX_DELAY) || 30000
+
+    // Parallel collection: global limit plus per-brand/per-type limits ("D-Link:2,olt:1")
+    this.maxConcurrency = parseInt(process.env.MAX_CONCURRENCY) || 1
+    this.concurrencyLimits = this.parseConcurrencyLimits(process.env.CONCURRENCY_LIMITS)
 
     // Build full path to devices file
     const dataDir = process.env.DATA_DIR || './data'
@@ -47,6 +176,16 @@ class NetworkDeviceCollector {
     }
     this.devicesFile = path.join(dataDir, devicesFileName)
     this.brandSettingsFile = path.join(dataDir, 'brandSettings.json')
+    this.vaultFile = process.env.VAULT_FILE || path.join(dataDir, 'credentials.vault')
+    this.vault = null
+    // Which credential set worked per device (fingerprints only, never the secret)
+    this.credentialStateFile = path.join(dataDir, 'credentialState.json')
+    this.credentialState = { salt: null, devices: {} }
+    this.runReport = { startedAt: new Date().toISOString(), devices: {} }
+    // Hostname prompt learned right after login, per device IP
+    this.learnedPrompts = new Map()
+    // Bastion connections shared by all devices of this device file
+    this.jumpHosts = new JumpHostPool(jump => this.getPasswordFromSettings(jump, `jump host ${jump.host}`))
   }
 
   async init() {
@@ -60,8 +199,13 @@ class NetworkDeviceCollector {
       // Load device list
       await this.loadDevices()
 
-      // Ask user for password (after loading devices so we can show context)
-      await this.askForPassword()
+      // Unlock the credential vault if one exists
+      await this.loadVault()
+      await this.loadCredentialState()
+
+      // Resolve password sources, asking the user only as a fallback
+      // (after loading devices so we can show context)
+      await this.resolveCredentials()
 
       logger.info('Initialization completed successfully')
     } catch (error) {
@@ -104,7 +248,15 @@ class NetworkDeviceCollector {
   async loadDevices() {
     try {
       const data = await fs.readFile(this.devicesFile, 'utf8')
-      this.devices = JSON.parse(data)
+      const parsed = JSON.parse(data)
+      // Device file is either a plain array or { "settings": {...}, "devices": [...] }
+      if (Array.isArray(parsed)) {
+        this.devices = parsed
+        this.fileSettings = {}
+      } else {
+        this.devices = parsed.devices || []
+        this.fileSettings = parsed.settings || {}
+      }
       logger.info(`Loaded ${this.devices.length} devices`)
     } catch (error) {
       logger.error(`Error loading devices file: ${error.message}`)
@@ -112,6 +264,344 @@ class NetworkDeviceCollector {
     }
   }
 
+  async loadVault() {
+    if (!await CredentialVault.exists(this.vaultFile)) {
+      return
+    }
+
+    let secret = await CredentialVault.getSecretFromEnvironment()
+    if (secret === null) {
+      if (!process.stdin.isTTY) {
+        throw new Error(`Credential vault ${this.vaultFile} is locked (set VAULT_PASSPHRASE or VAULT_KEY_FILE)`)
+      }
+      const answers = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'passphrase',
+          message: 'Enter credential vault passphrase:',
+          mask: '*'
+        }
+      ])
+      secret = answers.passphrase
+    }
+
+    this.vault = await CredentialVault.open(this.vaultFile, secret)
+    logger.info(`Credential vault unlocked: ${this.vault.list().length} entries`)
+  }
+
+  // Read the first line of a password file, or of a file descriptor (0 = stdin)
+  readPasswordSource(source) {
+    const key = String(source)
+    if (!passwordSourceCache.has(key)) {
+      const target = typeof source === 'number' ? source : source.trim()
+      const content = readFileSync(target, 'utf8')
+      passwordSourceCache.set(key, content.split(/\r?\n/)[0])
+    }
+    return passwordSourceCache.get(key)
+  }
+
+  // Non-interactive password for a set of settings (device or device file):
+  // passwordEnv names an environment variable, passwordFile a file holding the password
+  getPasswordFromSettings(settings, label) {
+    if (settings.passwordEnv) {
+      if (process.env[settings.passwordEnv] === undefined) {
+        throw new Error(`Environment variable ${settings.passwordEnv} for ${label} is not set`)
+      }
+      return process.env[settings.passwordEnv]
+    }
+    if (settings.passwordFile) {
+      return this.readPasswordSource(settings.passwordFile)
+    }
+    if (typeof settings.password === 'string') {
+      return settings.password
+    }
+    return null
+  }
+
+  // Global password without prompting: DEVICE_PASSWORD, DEVICE_PASSWORD_FILE, then a file descriptor
+  getGlobalPasswordFromEnvironment() {
+    if (process.env.DEVICE_PASSWORD !== undefined) {
+      return process.env.DEVICE_PASSWORD
+    }
+    if (process.env.DEVICE_PASSWORD_FILE) {
+      return this.readPasswordSource(process.env.DEVICE_PASSWORD_FILE)
+    }
+    if (this.passwordFd !== null) {
+      return this.readPasswordSource(parseInt(this.passwordFd))
+    }
+    return null
+  }
+
+  async resolveCredentials() {
+    // A password already set by the caller (e.g. run-all-json.js) wins
+    if (this.globalPassword === null) {
+      this.globalPassword = this.getPasswordFromSettings(this.fileSettings, path.basename(this.devicesFile))
+    }
+    if (this.globalPassword === null) {
+      this.globalPassword = this.getGlobalPasswordFromEnvironment()
+    }
+    if (this.globalPassword !== null) {
+      logger.info('Using non-interactive password source')
+      return
+    }
+
+    // Prompt only if some device has no password source of its own
+    const needsPassword = this.devices.some(device => this.getDeviceCredentials(device).password === null)
+    if (!needsPassword) {
+      return
+    }
+    if (!process.stdin.isTTY) {
+      throw new Error('No password source configured and no terminal to prompt on (set DEVICE_PASSWORD, DEVICE_PASSWORD_FILE or use --password-stdin)')
+    }
+    await this.askForPassword()
+  }
+
+  async loadCredentialState() {
+    try {
+      const data = await fs.readFile(this.credentialStateFile, 'utf8')
+      this.credentialState = { salt: null, devices: {}, ...JSON.parse(data) }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Error loading credential state: ${error.message}`)
+      }
+    }
+    if (!this.credentialState.salt) {
+      this.credentialState.salt = crypto.randomBytes(16).toString('hex')
+    }
+  }
+
+  async saveCredentialState() {
+    try {
+      await fs.writeFile(this.credentialStateFile, JSON.stringify(this.credentialState, null, 2), 'utf8')
+    } catch (error) {
+      logger.warn(`Error saving credential state: ${error.message}`)
+    }
+  }
+
+  // Keyed hash of a credential set, so the working set can be recognised without storing it
+  getCredentialFingerprint(credentials) {
+    return crypto.createHmac('sha256', this.credentialState.salt || '')
+      .update(`${credentials.username}\0${credentials.password}`)
+      .digest('hex')
+  }
+
+  // Ordered credential sets for a device: its own password, its credentialSets, matching vault
+  // entries (IP, tags, brand), the device file credentialSets, then the device-file/global password.
+  // The set that worked last time is moved to the front.
+  getCredentialCandidates(device) {
+    const vaultMatches = this.vault ? this.vault.resolveAll(device) : []
+    const defaultUsername = device.credentials?.username || device.username || vaultMatches[0]?.entry.username || this.fileSettings.username || 'admin'
+    const defaultEnableSecret = device.enableSecret || vaultMatches[0]?.entry.enableSecret || null
+    const candidates = []
+
+    const add = (label, set, password) => {
+      if (password === null || password === undefined) return
+      const candidate = {
+        label,
+        username: set.username || defaultUsername,
+        password,
+        enableSecret: set.enableSecret || defaultEnableSecret
+      }
+      candidate.fingerprint = this.getCredentialFingerprint(candidate)
+      if (!candidates.some(existing => existing.fingerprint === candidate.fingerprint)) {
+        candidates.push(candidate)
+      }
+    }
+
+    add('device', {}, this.getPasswordFromSettings(device, device.ip))
+    ;(device.credentialSets || []).forEach((set, index) => {
+      add(set.name || `device set ${index + 1}`, set, this.getPasswordFromSettings(set, `${device.ip} set ${index + 1}`))
+    })
+    vaultMatches.forEach(({ scope, value, entry }) => add(`vault ${scope}:${value}`, entry, entry.password))
+    ;(this.fileSettings.credentialSets || []).forEach((set, index) => {
+      add(set.name || `file set ${index + 1}`, set, this.getPasswordFromSettings(set, `${path.basename(this.devicesFile)} set ${index + 1}`))
+    })
+    add('global', {}, this.globalPassword)
+
+    const remembered = this.credentialState.devices[this.deviceKey(device)]
+    if (remembered) {
+      const index = candidates.findIndex(candidate => candidate.fingerprint === remembered.fingerprint)
+      if (index > 0) {
+        candidates.unshift(...candidates.splice(index, 1))
+      }
+    }
+    return candidates
+  }
+
+  // Preferred credentials for a single device
+  getDeviceCredentials(device) {
+    const candidates = this.getCredentialCandidates(device)
+    if (candidates.length > 0) {
+      return candidates[0]
+    }
+    return {
+      username: device.credentials?.username || device.username || this.fileSettings.username || 'admin',
+      password: null,
+      enableSecret: device.enableSecret || null
+    }
+  }
+
+  // Per-device state (credential state, run report, learned prompts, manifest) is keyed by address.
+  // Devices behind one NAT address differ only by port, so a port other than the protocol's default
+  // is part of the key ("10.0.0.1:2301") and of output file names ("10_0_0_1_2301.cfg"). Only the
+  // device entry counts, so the key stays the same when autodetection changes the brand mid-run.
+  deviceKey(device) {
+    const port = parseInt(device.port)
+    const defaultPort = String(device.protocol).toLowerCase() === 'ssh' ? 22 : 23
+    return port && port !== defaultPort ? `${device.ip}:${port}` : device.ip
+  }
+
+  deviceFileName(device) {
+    return this.deviceKey(device).replace(/[.:]/g, '_')
+  }
+
+  rememberWorkingCredentials(device, credentials) {
+    this.credentialState.devices[this.deviceKey(device)] = {
+      label: credentials.label,
+      fingerprint: credentials.fingerprint,
+      updatedAt: new Date().toISOString()
+    }
+  }
+
+  recordDeviceResult(device, result) {
+    const key = this.deviceKey(device)
+    const current = this.runReport.devices[key] || {
+      ip: device.ip,
+      description: device.description || device.name || null,
+      status: 'pending',
+      commandErrors: []
+    }
+    this.runReport.devices[key] = { ...current, ...result }
+  }
+
+  // Device finished: partial if some commands failed, failed if all of them did
+  completeDeviceResult(device, commandCount) {
+    this.recordDeviceResult(device, {})
+    const result = this.runReport.devices[this.deviceKey(device)]
+    if (result.commandErrors.length === 0) {
+      result.status = 'success'
+    } else if (result.commandErrors.length >= commandCount) {
+      result.status = 'failed'
+      result.error = result.commandErrors[result.commandErrors.length - 1].error
+    } else {
+      result.status = 'partial'
+    }
+  }
+
+  recordCommandError(device, command, error) {
+    this.recordDeviceResult(device, {})
+    const entry = { command, error: error.message }
+    if (error.snippet) {
+      entry.snippet = error.snippet
+    }
+    this.runReport.devices[this.deviceKey(device)].commandErrors.push(entry)
+  }
+
+  // Save the run report next to the logs and print a short summary
+  async finishRun() {
+    await this.saveCredentialState()
+    await this.saveDetectedVendors()
+    await this.saveManifest()
+    await this.jumpHosts.closeAll()
+
+    this.runReport.finishedAt = new Date().toISOString()
+    // The port is only known once a connection was attempted; earlier failures show the device key
+    const results = Object.entries(this.runReport.devices)
+      .map(([key, result]) => ({ ...result, label: result.port ? `${result.ip}:${result.port}` : key }))
+    const failed = results.filter(result => result.status === 'failed')
+    const authFailed = results.filter(result => result.authFailed)
+
+    const reportName = `run-report-${this.runReport.startedAt.replace(/[:.]/g, '-')}.json`
+    const reportPath = path.join(this.logsDir, reportName)
+    try {
+      await fs.writeFile(reportPath, JSON.stringify(this.runReport, null, 2), 'utf8')
+      logger.info(`Run report saved: ${reportPath}`)
+    } catch (error) {
+      logger.warn(`Error saving run report: ${error.message}`)
+    }
+
+    console.log(chalk.cyan(`\n=== Run Summary: ${results.length - failed.length}/${results.length} devices collected ===`))
+    failed.forEach(result => {
+      console.log(chalk.red(`✗ ${result.label} - ${result.error}`))
+    })
+    results.filter(result => result.status === 'partial').forEach(result => {
+      console.log(chalk.yellow(`! ${result.label} - ${result.commandErrors.length} command(s) failed`))
+    })
+    results.forEach(result => {
+      result.commandErrors.filter(entry => entry.snippet).forEach(entry => {
+        console.log(chalk.yellow(`  ${result.label} "${entry.command}" rejected:\n    ${entry.snippet.replace(/\n/g, '\n    ')}`))
+      })
+    })
+    if (authFailed.length > 0) {
+      console.log(chalk.red(`Devices where every credential set failed: ${authFailed.map(result => result.label).join(', ')}`))
+    }
+  }
+
+  // "autodetect": "save" (device or device file settings) writes detected brands and models back
+  // to the device file. The file is re-read so passwords resolved during the run are not saved.
+  async saveDetectedVendors() {
+    const detected = this.devices.filter(device =>
+      (device.autodetect ?? this.fileSettings.autodetect) === 'save' &&
+      this.runReport.devices[this.deviceKey(device)]?.detectedVendor)
+    if (detected.length === 0) {
+      return
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.devicesFile, 'utf8'))
+      const entries = Array.isArray(data) ? data : (data.devices || [])
+      let updated = 0
+      for (const device of detected) {
+        const entry = entries.find(candidate => candidate.ip === device.ip && (candidate.port ?? null) === (device.port ?? null))
+        if (!entry) {
+          continue
+        }
+        const { brand, model } = this.runReport.devices[this.deviceKey(device)].detectedVendor
+        entry.brand = brand
+        if (model && !entry.model) {
+          entry.model = model
+        }
+        updated++
+      }
+      if (updated > 0) {
+        await fs.writeFile(this.devicesFile, JSON.stringify(data, null, 2), 'utf8')
+        logger.info(`Saved detected vendors of ${updated} device(s) to ${this.devicesFile}`)
+      }
+    } catch (error) {
+      logger.warn(`Error saving detected vendors: ${error.message}`)
+    }
+  }
+
+  // Merge this run's command → file map into the manifest; a category collected again replaces
+  // its entries, other devices and categories are kept
+  async saveManifest() {
+    if (Object.keys(this.manifest).length === 0) {
+      return
+    }
+
+    let manifest = { devices: {} }
+    try {
+      manifest = JSON.parse(await fs.readFile(this.manifestFile, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Error reading manifest ${this.manifestFile}, starting a new one: ${error.message}`)
+      }
+    }
+    manifest.devices = manifest.devices || {}
+    for (const [key, categories] of Object.entries(this.manifest)) {
+      manifest.devices[key] = { ...manifest.devices[key], ...categories }
+    }
+    manifest.updatedAt = new Date().toISOString()
+
+    try {
+      await fs.mkdir(path.dirname(this.manifestFile), { recursive: true })
+      await fs.writeFile(this.manifestFile, JSON.stringify(manifest, null, 2), 'utf8')
+      logger.info(`Manifest saved: ${this.manifestFile}`)
+    } catch (error) {
+      logger.warn(`Error saving manifest: ${error.message}`)
+    }
+  }
+
   async askForPassword() {
     // Show context information if available
     const deviceFileName = path.basename(this.devicesFile)
@@ -160,8 +650,15 @@ class NetworkDeviceCollector {
       execTimeout: 30000
     }
 
-    // 3. If timeouts are explicitly set in device, they take priority
-    for (const key of ['timeout', 'commandTimeout', 'execTimeout', 'shellTimeout']) {
+    // 3. Device file settings override brand settings for the connection endpoint
+    for (const key of ['port', 'sourceAddress']) {
+      if (this.fileSettings[key] !== undefined && this.fileSettings[key] !== null) {
+        base[key] = this.fileSettings[key]
+      }
+    }
+
+    // 4. If timeouts or endpoint are explicitly set in device, they take priority
+    for (const key of ['timeout', 'commandTimeout', 'execTimeout', 'shellTimeout', 'port', 'sourceAddress']) {
       if (device[key] !== undefined && device[key] !== null) {
         base[key] = device[key]
       }
@@ -171,11 +668,59 @@ class NetworkDeviceCollector {
     return base
   }
 
+  // Try each credential set in order; only a rejected login moves on to the next set
   async connectToDevice(device) {
-    const connection = new Telnet()
+    const candidates = this.getCredentialCandidates(device)
+    if (candidates.length === 0) {
+      throw new Error(`No credentials available for ${device.ip}`)
+    }
+
+    for (let i = 0; i < candidates.length; i++) {
+      const credentials = candidates[i]
+      try {
+        const connection = await this.connectToDeviceWithCredentials(device, credentials)
+        this.rememberWorkingCredentials(device, credentials)
+        this.recordDeviceResult(device, { credentialSet: credentials.label, authFailed: false })
+        return connection
+      } catch (error) {
+        if (!this.isAuthenticationError(error)) {
+          throw error
+        }
+        logger.warn(`Login to ${device.ip} with credential set "${credentials.label}" rejected (${i + 1}/${candidates.length})`)
+        if (i < candidates.length - 1) {
+          await this.sleep(this.getSessionReleaseDelay(device))
+        }
+      }
+    }
+
+    this.recordDeviceResult(device, { authFailed: true })
+    throw new Error(`Failed login with all ${candidates.length} credential sets`)
+  }
+
+  // Transport protocol: device setting first, then brand settings, Telnet by default
+  getConnectionProtocol(device, settings = this.getDeviceSettings(device)) {
+    const protocol = (device.protocol || settings.protocol || 'telnet').toLowerCase()
+    if (protocol !== 'telnet' && protocol !== 'ssh') {
+      logger.warn(`Unknown protocol "${protocol}" for ${device.ip}, falling back to telnet`)
+      return 'telnet'
+    }
+    return protocol
+  }
+
+  async connectToDeviceWithCredentials(device, credentials) {
+    const { username, password } = credentials
 
     // Get connection settings from brand settings or device config
-    const settings = this.getDeviceSettings(device)
+    let settings = this.getDeviceSettings(device)
+    // Console servers speak reverse Telnet, whatever the device protocol is
+    const consoleAccess = this.getConsoleAccess(device)
+    const protocol = consoleAccess ? 'telnet' : this.getConnectionProtocol(device, settings)
+    const connection = protocol === 'ssh' ? new SshClient() : new Telnet()
+    if (protocol !== 'ssh') {
+      // telnet-client queues every received line for its nextData() API, which the collector never
+      // reads; without this the whole session output stays in memory until the connection closes
+      connection.removeAllListeners('data')
+    }
     const timeout = settings.timeout || parseInt(process.env.TELNET_TIMEOUT) || 30000
     const execTimeout = settings.execTimeout || parseInt(process.env.COMMAND_TIMEOUT) || 10000
 
@@ -185,216 +730,949 @@ class NetworkDeviceCollector {
     }
 
     // Use shellPrompt from settings if present, else default
-    let shellPrompt = /[$%#>]/
-    if (settings.shellPrompt) {
-      try {
-        // If shellPrompt is a string like '/.../', convert to RegExp
-        if (typeof settings.shellPrompt === 'string' && settings.shellPrompt.startsWith('/')) {
-          const match = settings.shellPrompt.match(/^\/(.*)\/(.*)$/)
-          if (match) {
-            shellPrompt = new RegExp(match[1], match[2] || '')
-          }
-        } else if (settings.shellPrompt instanceof RegExp) {
-          shellPrompt = settings.shellPrompt
-        }
-      } catch { }
-    }
+    const shellPrompt = this.parsePattern(settings.shellPrompt, /[$%#>]/)
 
-    // Password: use global password
-    let usedPassword = this.globalPassword
     // Debug log (mask password)
-    logger.debug(`Password for ${device.ip}: ${usedPassword ? usedPassword.replace(/./g, '*') : '[empty]'}`)
+    logger.debug(`Password for ${device.ip}: ${password ? password.replace(/./g, '*') : '[empty]'}`)
 
     const params = {
       host: device.ip,
-      port: 23,
+      port: parseInt(settings.port) || (protocol === 'ssh' ? 22 : 23),
       shellPrompt: shellPrompt,
       timeout: timeout,
       loginPrompt: /(username|login)[: ]*$/i,
       passwordPrompt: /password[: ]*$/i,
-      username: device.credentials?.username || device.username || 'admin',
-      password: usedPassword,
+      failedLoginMatch: /(login incorrect|login invalid|authentication failed|access denied|bad password|wrong password|fail to login)/i,
+      username: username,
+      password: password,
       execTimeout: execTimeout,
       debug: false
     }
 
-    // Add source IP if specified in environment
-    if (process.env.TELNET_SOURCE_IP) {
-      params.localAddress = process.env.TELNET_SOURCE_IP
-      logger.debug(`Using source IP: ${process.env.TELNET_SOURCE_IP} for connection to ${device.ip}`)
+    // Legacy charset (cp1251, koi8-r, ...): have the transport pass bytes through unchanged,
+    // they are decoded per command by decodeOutput
+    const encoding = this.getOutputEncoding(device, settings)
+    if (encoding) {
+      params.encoding = 'latin1'
+    }
+
+    // SSH exec() also returns on pager prompts, so executeCommandWithExec can answer them
+    // (telnet-client stops on them through the learned-prompt stop patterns only)
+    if (protocol === 'ssh') {
+      params.pagePrompt = new RegExp(this.getPaginationRules(device, settings).map(rule => `(?:${rule.pattern.source})`).join('|'), 'i')
+    }
+
+    // Console server: connect to the terminal server line as a raw session, login is done by consoleLogin
+    if (consoleAccess) {
+      params.host = consoleAccess.host
+      params.port = consoleAccess.port
+      params.shellPrompt = null
+      logger.info(`Using console server ${consoleAccess.host}:${consoleAccess.port} for ${device.ip}`)
+    }
+
+    // Scripted login dialogue: open a raw session and let runLoginScript do the talking
+    const loginScript = device.loginScript || settings.loginScript
+    if (loginScript) {
+      params.shellPrompt = null
     }
 
+    // Add source IP: device/file/brand sourceAddress, else the global one from environment
+    const sourceAddress = settings.sourceAddress || process.env.TELNET_SOURCE_IP
+    if (sourceAddress) {
+      params.localAddress = sourceAddress
+      logger.debug(`Using source IP: ${sourceAddress} for connection to ${device.ip}:${params.port}`)
+    }
+    this.recordDeviceResult(device, { protocol, port: params.port, sourceEncoding: encoding })
+
     try {
-      logger.info(`Connecting to device ${device.ip} (${device.name || device.description})`)
-      logger.debug(`Connection params: host=${device.ip}, timeout=${timeout}, execTimeout=${execTimeout}`)
+      logger.info(`Connecting to device ${device.ip}:${params.port} via ${protocol} (${device.name || device.description})`)
+      logger.debug(`Connection params: host=${device.ip}, port=${params.port}, timeout=${timeout}, execTimeout=${execTimeout}`)
 
       // D-Link: try to clear possible hanging connections first
       if (device.brand?.toLowerCase() === 'd-link') {
         logger.debug(`D-Link connection attempt to ${device.ip}`)
       }
 
-      await connection.connect(params)
-      logger.info(`Successfully connected to ${device.ip}`)
+      const transcript = await this.openTranscript(device, settings, credentials, protocol, params)
+      if (transcript) {
+        connection.transcript = transcript
+        // The SSH client attaches it to its shell channel
+        if (protocol === 'ssh') {
+          params.transcript = transcript
+        }
+      }
+
+      const connecting = connection.connect(await this.applyJumpHost(device, params))
+      // telnet-client creates its socket synchronously inside connect(), before any data arrives
+      if (transcript && connection.socket) {
+        transcript.attach(connection.socket)
+      }
+      const loginText = this.needsVendorDetection(device) && connection.socket ? this.captureLoginText(connection.socket) : null
+      try {
+        await connecting
+      } finally {
+        loginText?.stop()
+      }
+      if (consoleAccess) {
+        await this.consoleLogin(connection, device, credentials, settings, shellPrompt)
+      }
+      if (loginScript) {
+        await this.runLoginScript(connection, device, credentials, settings, loginScript)
+      }
+      if (consoleAccess || loginScript) {
+        // From here on the session behaves like a normal logged-in session
+        connection.opts.shellPrompt = shellPrompt
+      }
+      logger.info(`Successfully connected to ${device.ip}:${params.port}`)
+
+      // Unknown brand: fingerprint the device before anything brand-specific (enable, paging) happens
+      if (this.needsVendorDetection(device)) {
+        await this.detectVendor(connection, device, settings, loginText ? loginText.text : '')
+        settings = this.getDeviceSettings(device)
+      }
 
       // Enter privileged mode if required
       logger.debug(`Checking enable requirements for ${device.ip}: settings.requiresEnable=${settings.requiresEnable}, device.requiresEnable=${device.requiresEnable}, device.enableCommand=${device.enableCommand}`)
 
-      if ((settings.requiresEnable || device.requiresEnable) && device.enableCommand) {
+      const enableCommand = device.enableCommand || settings.enableCommand
+      if ((settings.requiresEnable || device.requiresEnable) && enableCommand) {
+        console.log(chalk.cyan(`✓ Enable condition met for ${device.ip} - sending command: ${enableCommand}`))
+        logger.info(`Entering privileged mode on ${device.ip} with command: ${enableCommand}`)
         try {
-          console.log(chalk.cyan(`✓ Enable condition met for ${device.ip} - sending command: ${device.enableCommand}`))
-          logger.info(`Entering privileged mode on ${device.ip} with command: ${device.enableCommand}`)
-          await connection.exec(device.enableCommand)
-          console.log(chalk.green(`✓ Successfully entered privileged mode on ${device.ip}`))
-          logger.info(`Successfully entered privileged mode on ${device.ip}`)
+          await this.enterPrivilegedMode(connection, device, credentials, settings, enableCommand)
         } catch (error) {
           console.log(chalk.red(`✗ Failed to enter privileged mode on ${device.ip}: ${error.message}`))
-          logger.warn(`Failed to enter privileged mode on ${device.ip}: ${error.message}`)
+          throw new Error(`Failed to enter privileged mode: ${error.message}`)
         }
+        console.log(chalk.green(`✓ Successfully entered privileged mode on ${device.ip}`))
+        logger.info(`Successfully entered privileged mode on ${device.ip}`)
       } else {
         console.log(chalk.gray(`- No enable command needed for ${device.ip}`))
       }
 
+      await this.learnPrompt(connection, device, settings)
+
       return connection
     } catch (error) {
-      logger.error(`Connection error to ${device.ip}: ${error.message}`)
+      logger.error(`Connection error to ${device.ip}:${params.port}: ${error.message}`)
+      // Drop the half-open socket so a retry starts from a clean state
+      try {
+        await connection.destroy()
+      } catch (e) {
+        logger.debug(`Failed to destroy connection: ${e.message}`)
+      }
+      if (connection.transcript) {
+        connection.transcript.note(`connection failed: ${error.message}`)
+        await connection.transcript.close()
+      }
       throw error
     }
   }
 
-  async connectToDeviceWithPassword(device, password) {
-    const connection = new Telnet()
+  // Session recording is opt-in: device or brand "recordSession": true, or RECORD_SESSIONS
+  // (comma-separated device IPs, or "all")
+  shouldRecordSession(device, settings) {
+    if (device.recordSession !== undefined) {
+      return Boolean(device.recordSession)
+    }
+    if (settings.recordSession !== undefined) {
+      return Boolean(settings.recordSession)
+    }
+    const list = (process.env.RECORD_SESSIONS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+    return list.includes('all') || list.includes(device.ip) || list.includes(this.deviceKey(device))
+  }
+
+  // Raw transcript of one connection attempt in <logs>/transcripts, with this attempt's secrets masked
+  async openTranscript(device, settings, credentials, protocol, params) {
+    if (!this.shouldRecordSession(device, settings)) {
+      return null
+    }
 
-    // Get connection settings from brand settings or device config
-    const settings = this.getDeviceSettings(device)
-    const timeout = settings.timeout || parseInt(process.env.TELNET_TIMEOUT) || 30000
-    const execTimeout = settings.execTimeout || parseInt(process.env.COMMAND_TIMEOUT) || 10000
+    const file = path.join(this.logsDir, 'transcripts', SessionTranscript.fileName(this.deviceFileName(device)))
+    const transcript = new SessionTranscript(file, [credentials.password, credentials.enableSecret])
+    try {
+      await transcript.open(`session ${device.ip} via ${protocol} to ${params.host}:${params.port}, credential set "${credentials.label}"`)
+    } catch (error) {
+      logger.warn(`Cannot record session of ${device.ip}: ${error.message}`)
+      return null
+    }
 
-    // D-Link: Force cleanup of existing connections
-    if (device.brand?.toLowerCase() === 'd-link') {
-      logger.debug(`D-Link device detected: ${device.ip} - forcing cleanup before connection`)
+    const transcripts = this.runReport.devices[this.deviceKey(device)]?.transcripts || []
+    this.recordDeviceResult(device, { transcripts: [...transcripts, file] })
+    logger.info(`Recording session of ${device.ip} to ${file}`)
+    return transcript
+  }
+
+  // Console server access: device accessMode "console" with consoleServer/consolePort
+  // (consoleServer can also be set once in the device file settings)
+  getConsoleAccess(device) {
+    if (device.accessMode !== 'console') {
+      return null
+    }
+    const host = device.consoleServer || this.fileSettings.consoleServer
+    const port = parseInt(device.consolePort)
+    if (!host || !port) {
+      throw new Error(`Console access for ${device.ip} needs consoleServer and consolePort`)
     }
+    return { host, port }
+  }
 
-    // Use shellPrompt from settings if present, else default
-    let shellPrompt = /[$%#>]/
-    if (settings.shellPrompt) {
-      try {
-        // If shellPrompt is a string like '/.../', convert to RegExp
-        if (typeof settings.shellPrompt === 'string' && settings.shellPrompt.startsWith('/')) {
-          const match = settings.shellPrompt.match(/^\/(.*)\/(.*)$/)
-          if (match) {
-            shellPrompt = new RegExp(match[1], match[2] || '')
+  // Wake up a console line and log in. Handles "Press RETURN to get started", an already
+  // logged-in session (possibly inside config mode or a pager) and the usual login prompts.
+  async consoleLogin(connection, device, credentials, settings, shellPrompt) {
+    const loginPrompt = /(username|login)[: ]*$/i
+    const passwordPrompt = /password[: ]*$/i
+    const failedLogin = /(login incorrect|login invalid|authentication failed|access denied|bad password)/i
+    const wakePrompt = /(press (return|enter)|get started|any key)/i
+    const timeoutMs = settings.consoleTimeout || 60000
+    const wakeIntervalMs = settings.consoleWakeInterval || 2000
+
+    const stream = await connection.shell()
+
+    return new Promise((resolve, reject) => {
+      let buffer = ''
+      let received = false
+      let loginSent = false
+      let passwordSent = false
+      let restarting = false
+      let restarts = 0
+      let wakeTimer = null
+      let firstWake = null
+      let idleSince = Date.now()
+
+      const finish = (error) => {
+        clearTimeout(timer)
+        clearTimeout(firstWake)
+        clearInterval(wakeTimer)
+        stream.removeListener('data', onData)
+        stream.destroy()
+        if (error) {
+          reject(error)
+        } else {
+          resolve()
+        }
+      }
+
+      const send = (text) => {
+        buffer = ''
+        stream.write(text)
+      }
+
+      const timer = setTimeout(() => {
+        finish(new Error(`console did not reach a shell prompt (last output: "${buffer.slice(-80).trim()}")`))
+      }, timeoutMs)
+
+      const onData = (data) => {
+        // Drop telnet negotiation bytes, which the raw session passes through
+        buffer += data.toString('latin1').replace(/\xff[\xfb-\xfe]./g, '')
+        received = true
+        idleSince = Date.now()
+        const tail = buffer.slice(-200)
+        const lastLine = tail.split(/\r?\n/).pop()
+
+        // The failure a restarted login provokes on purpose does not count
+        if (failedLogin.test(tail) && !restarting) {
+          finish(new Error('Failed login on console'))
+        } else if (/--\s*More\s*--/i.test(lastLine)) {
+          logger.debug(`Console ${device.ip}: pager left open by previous session - quitting it`)
+          send('q')
+        } else if (loginPrompt.test(lastLine)) {
+          if (loginSent && !passwordSent) return
+          logger.debug(`Console ${device.ip}: login prompt detected`)
+          restarting = false
+          loginSent = true
+          passwordSent = false
+          send(credentials.username + '\r\n')
+        } else if (passwordPrompt.test(lastLine)) {
+          if (!loginSent && buffer.split(/\r?\n/).slice(0, -1).some(line => loginPrompt.test(line))) {
+            // A Return reached the login prompt before the username did, so the device took it as
+            // an empty username: fail this attempt with an empty password and start over
+            if (restarts >= 2) {
+              finish(new Error('console login prompt was answered before the username could be sent'))
+              return
+            }
+            logger.debug(`Console ${device.ip}: login prompt was answered with an empty username - restarting the login`)
+            restarts++
+            restarting = true
+            send('\r\n')
+            return
+          }
+          if (restarting) return
+          if (passwordSent) {
+            finish(new Error('Failed login on console'))
+            return
           }
-        } else if (settings.shellPrompt instanceof RegExp) {
-          shellPrompt = settings.shellPrompt
+          passwordSent = true
+          send(credentials.password + '\r\n')
+        } else if (/\(config[^)]*\)#\s*$/.test(lastLine)) {
+          logger.debug(`Console ${device.ip}: session was left in config mode - leaving it`)
+          send('end\r\n')
+        } else if (wakePrompt.test(tail)) {
+          send('\r\n')
+        } else if (shellPrompt.test(lastLine) && /[$%#>]\s*$/.test(lastLine)) {
+          logger.debug(`Console ${device.ip}: shell prompt reached${loginSent ? '' : ' (already logged in)'}`)
+          finish()
         }
-      } catch { }
+      }
+
+      stream.on('data', onData)
+      stream.on('error', error => finish(error))
+
+      // Press Return only while the line stays silent: one that crosses a login prompt the line
+      // is already showing would be taken as an empty username
+      firstWake = setTimeout(() => {
+        if (!received) {
+          idleSince = Date.now()
+          stream.write('\r\n')
+        }
+      }, Math.min(500, wakeIntervalMs))
+      wakeTimer = setInterval(() => {
+        if (Date.now() - idleSince >= wakeIntervalMs) {
+          idleSince = Date.now()
+          stream.write('\r\n')
+        }
+      }, wakeIntervalMs)
+    })
+  }
+
+  // String setting to RegExp: '/.../flags' is a regular expression, anything else a case-insensitive literal
+  toPattern(value) {
+    if (value instanceof RegExp) {
+      return value
     }
+    return this.parsePattern(value, null) || new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+  }
 
-    // Debug log (mask password)
-    logger.debug(`Password for ${device.ip}: ${password ? password.replace(/./g, '*') : '[empty]'}`)
+  toPatterns(values) {
+    return (values || []).map(value => this.toPattern(value))
+  }
 
-    const params = {
-      host: device.ip,
-      port: 23,
-      shellPrompt: shellPrompt,
-      timeout: timeout,
-      loginPrompt: /(username|login)[: ]*$/i,
-      passwordPrompt: /password[: ]*$/i,
-      username: device.credentials?.username || device.username || 'admin',
-      password: password,
-      execTimeout: execTimeout,
-      debug: false
+  expandLoginPlaceholders(text, credentials) {
+    return text
+      .replace(/\{username\}/g, credentials.username || '')
+      .replace(/\{password\}/g, credentials.password || '')
+      .replace(/\{enableSecret\}/g, credentials.enableSecret || credentials.password || '')
+  }
+
+  // Run a brand/device loginScript: ordered { expect, send, timeout, optional, newline, fail } steps.
+  // send supports {username}, {password} and {enableSecret}; a newline is appended unless newline is false.
+  async runLoginScript(connection, device, credentials, settings, script) {
+    const authFailures = this.toPatterns(settings.authFailurePatterns || DEFAULT_AUTH_FAILURE_PATTERNS)
+    const failures = this.toPatterns(settings.loginFailurePatterns || DEFAULT_LOGIN_FAILURE_PATTERNS)
+    const session = new ExpectSession(await connection.shell())
+
+    try {
+      for (let i = 0; i < script.length; i++) {
+        const step = script[i]
+        const stepLabel = `Login script step ${i + 1}/${script.length} for ${device.ip}`
+
+        if (step.expect) {
+          const stepFailures = this.toPatterns(step.fail)
+          const patterns = [this.toPattern(step.expect), ...authFailures, ...failures, ...stepFailures]
+          let result
+          try {
+            result = await session.expect(patterns, step.timeout || settings.loginStepTimeout || 10000)
+          } catch (error) {
+            if (step.optional) {
+              logger.debug(`${stepLabel}: optional step skipped (${error.message})`)
+              continue
+            }
+            throw new Error(`${stepLabel}: ${error.message} (last output: "${(error.output || '').slice(-80).trim()}")`)
+          }
+
+          if (result.index > 0) {
+            const reported = result.match[0].trim()
+            if (result.index <= authFailures.length) {
+              throw new Error(`Failed login: device reported "${reported}"`)
+            }
+            throw new Error(`${stepLabel}: device reported "${reported}"`)
+          }
+          logger.debug(`${stepLabel}: matched ${step.expect}`)
+        }
+
+        if (step.send !== undefined) {
+          const text = this.expandLoginPlaceholders(step.send, credentials)
+          session.send(step.newline === false ? text : text + '\r\n')
+        }
+        if (step.delay) {
+          await this.sleep(step.delay)
+        }
+      }
+    } finally {
+      session.close()
+    }
+  }
+
+  // Commands run once per session: sessionPreamble (disable paging) and sessionPostamble (restore, logout).
+  // Device entry first, then brand settings, then the built-in defaults.
+  getSessionCommands(device, key) {
+    if (Array.isArray(device[key])) {
+      return device[key]
+    }
+    const settings = this.getDeviceSettings(device)
+    if (Array.isArray(settings[key])) {
+      return settings[key]
+    }
+    const brand = (device.brand || device.vendor || '').toLowerCase()
+    return DEFAULT_SESSION_COMMANDS[brand]?.[key] || []
+  }
+
+  // Disable paging for the session; pagination handling stays as the fallback if a command fails
+  async runSessionPreamble(connection, device) {
+    const commands = this.getSessionCommands(device, 'sessionPreamble')
+    for (const command of commands) {
+      try {
+        await this.executeCommand(connection, command, device)
+      } catch (error) {
+        // Paging commands usually print nothing, which the shell path reports as an error
+        if (/no .*command output received/i.test(error.message)) {
+          continue
+        }
+        logger.warn(`Session preamble "${command}" failed on ${device.ip}: ${error.message}`)
+      }
+    }
+    if (commands.length > 0) {
+      await this.sleep(500)
+    }
+  }
+
+  // Postamble commands are sent without waiting for output, since the last one usually ends the session
+  async runSessionPostamble(connection, device) {
+    const commands = this.getSessionCommands(device, 'sessionPostamble')
+    if (commands.length === 0) {
+      return
+    }
+    const delay = this.getDeviceSettings(device).postambleDelay || 500
+    try {
+      const stream = await connection.shell()
+      // The device may have closed the session already: writing then emits 'error', which would
+      // end the whole process if nobody listened
+      let streamError = null
+      stream.on('error', error => { streamError = error })
+      for (const command of commands) {
+        if (streamError) {
+          throw streamError
+        }
+        logger.debug(`Session postamble on ${device.ip}: ${command}`)
+        stream.write(command + '\r\n')
+        await this.sleep(delay)
+      }
+      stream.destroy()
+    } catch (error) {
+      logger.debug(`Session postamble failed on ${device.ip}: ${error.message}`)
+    }
+  }
+
+  // Leave console lines logged out so the next user does not inherit our session
+  async closeConnection(connection, device) {
+    try {
+      await this.runSessionPostamble(connection, device)
+      if (device.accessMode === 'console') {
+        try {
+          const stream = await connection.shell()
+          // The postamble may have logged out already, closing the session
+          stream.on('error', error => logger.debug(`Console logout of ${device.ip} not sent: ${error.message}`))
+          stream.write((this.getDeviceSettings(device).consoleLogoutCommand || 'exit') + '\r\n')
+          await this.sleep(300)
+          stream.destroy()
+        } catch (error) {
+          logger.debug(`Failed to log out console session of ${device.ip}: ${error.message}`)
+        }
+      }
+      await connection.end()
+    } finally {
+      if (connection.transcript) {
+        await connection.transcript.close()
+      }
+    }
+  }
+
+  // Route the connection through the device or device-file "via" jump host, if any
+  // (device "via": false forces a direct connection)
+  async applyJumpHost(device, params) {
+    const via = device.via !== undefined ? device.via : this.fileSettings.via
+    if (!via) {
+      return params
+    }
+
+    let tunnel
+    try {
+      tunnel = await this.jumpHosts.getTunnel(via, params.host, params.port)
+    } catch (error) {
+      // Not the device's doing, so no other device credential set is tried
+      error.jumpHost = true
+      throw error
+    }
+    logger.info(`Tunnelling ${device.ip}:${params.port} through jump host ${tunnel.jumpHost}`)
+    const tunnelled = { ...params, host: tunnel.host, port: tunnel.port }
+    delete tunnelled.localAddress
+    return tunnelled
+  }
+
+  // Press Return once and remember the prompt the device answers with (e.g. "DGS-3120-24SC:admin#",
+  // "<Huawei-OLT>", "Switch#"). Commands then complete on that exact prompt instead of any [$%#>].
+  async learnPrompt(connection, device, settings) {
+    this.learnedPrompts.delete(this.deviceKey(device))
+    if (settings.learnPrompt === false) {
+      return
+    }
+
+    const session = new ExpectSession(await connection.shell())
+    try {
+      session.send('\r\n')
+      const { match } = await session.expect([/(?:^|\r?\n)([^\r\n]*[#>$%\]])[ \t]*$/], settings.promptLearnTimeout || 3000)
+      const prompt = match[1].replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').trim()
+      if (prompt.length < 2) {
+        logger.debug(`Prompt for ${device.ip} too short to be useful: "${prompt}"`)
+        return
+      }
+
+      const pattern = this.buildPromptPattern(prompt)
+      this.learnedPrompts.set(this.deviceKey(device), { prompt, pattern })
+      // exec() completion uses the learned prompt as well
+      if (connection.opts) {
+        connection.opts.shellPrompt = pattern
+      }
+      logger.info(`Learned prompt for ${device.ip}: "${prompt}"`)
+    } catch (error) {
+      logger.debug(`Could not learn prompt for ${device.ip}: ${error.message}`)
+    } finally {
+      session.close()
+    }
+  }
+
+  // Autodetection runs for devices whose brand/vendor is missing or matches neither a brandSettings
+  // entry nor a built-in vendor; "autodetect": false on the device or in the device file turns it off
+  needsVendorDetection(device) {
+    const autodetect = device.autodetect ?? this.fileSettings.autodetect
+    if (autodetect === false || device.connectionSettings) {
+      return false
+    }
+    const brand = (device.brand || device.vendor || '').toLowerCase()
+    if (!brand) {
+      return true
     }
+    const known = [...Object.keys(this.brandSettings), ...DEFAULT_VENDOR_SIGNATURES.map(signature => signature.brand), ...Object.keys(DEFAULT_SESSION_COMMANDS)]
+    return !known.some(name => name.toLowerCase() === brand)
+  }
 
-    // Add source IP if specified in environment
-    if (process.env.TELNET_SOURCE_IP) {
-      params.localAddress = process.env.TELNET_SOURCE_IP
-      logger.debug(`Using source IP: ${process.env.TELNET_SOURCE_IP} for connection to ${device.ip}`)
+  // Greeting, banner and prompts received while telnet-client logs in
+  captureLoginText(socket) {
+    const capture = { text: '' }
+    const onData = data => {
+      capture.text = (capture.text + data.toString('latin1')).slice(-4096)
     }
+    socket.on('data', onData)
+    capture.stop = () => socket.removeListener('data', onData)
+    return capture
+  }
 
+  matchVendorSignature(text) {
+    for (const signature of DEFAULT_VENDOR_SIGNATURES) {
+      if (signature.pattern.test(text)) {
+        const match = text.match(signature.model)
+        return { brand: signature.brand, model: match ? (match[1] || match[2]) : null }
+      }
+    }
+    return null
+  }
+
+  // Fingerprint the device from its login text, then from version probes (the prompt shape decides
+  // which probe goes first). The detected brand is used for the rest of the run, recorded in the run
+  // report and, with "autodetect": "save", written back to the device file at the end of the run.
+  async detectVendor(connection, device, settings, loginText) {
+    const timeout = device.probeTimeout || this.fileSettings.probeTimeout || settings.probeTimeout || 5000
+    const session = new ExpectSession(await connection.shell())
+    let detected = null
+    let source = 'banner'
     try {
-      logger.info(`Connecting to device ${device.ip} (${device.name || device.description})`)
-      logger.debug(`Connection params: host=${device.ip}, timeout=${timeout}, execTimeout=${execTimeout}`)
+      session.send('\r\n')
+      const { match } = await session.expect([/(?:^|\r?\n)([^\r\n]*[#>$%\]])[ \t]*$/], timeout)
+      const prompt = match[1].replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').trim()
+      const promptPattern = this.buildPromptPattern(prompt)
+
+      detected = this.matchVendorSignature(loginText)
+      const shape = /^<.*>$/.test(prompt) ? 'angle' : (/^[^:\s]+:[^:\s]+#$/.test(prompt) ? 'level' : 'default')
+      for (const probe of VENDOR_PROBES[shape]) {
+        if (detected?.model) {
+          break
+        }
+        const match = this.matchVendorSignature(await this.readProbe(session, probe, promptPattern, timeout))
+        if (!match) {
+          continue
+        }
+        // A probe adds the model to a banner match; it never overrides the brand the banner showed
+        if (!detected) {
+          detected = match
+          source = probe
+        } else if (detected.brand === match.brand) {
+          detected.model = match.model
+        }
+        break
+      }
+    } catch (error) {
+      logger.debug(`Vendor detection for ${device.ip} stopped: ${error.message}`)
+    } finally {
+      session.close()
+    }
+
+    if (!detected) {
+      logger.warn(`Could not detect the vendor of ${device.ip}, using generic settings`)
+      this.recordDeviceResult(device, { detectedVendor: null })
+      return null
+    }
+
+    // Use the brandSettings key as written in the file (e.g. "Bdcom")
+    const brand = Object.keys(this.brandSettings).find(key => key.toLowerCase() === detected.brand.toLowerCase()) || detected.brand
+    device.brand = brand
+    if (detected.model && !device.model) {
+      device.model = detected.model
+    }
+    this.recordDeviceResult(device, { detectedVendor: { brand, model: detected.model, source } })
+    console.log(chalk.cyan(`✓ Detected ${brand}${detected.model ? ` ${detected.model}` : ''} at ${device.ip}`))
+    logger.info(`Detected vendor of ${device.ip}: ${brand}${detected.model ? ` (${detected.model})` : ''} from ${source}`)
+    return detected
+  }
+
+  // Run one probe command in the detection session and return its output; pagers are quit,
+  // the first page is enough
+  async readProbe(session, probe, promptPattern, timeout) {
+    const pagers = [...DEFAULT_PAGINATION_PROMPTS, ...DEFAULT_DLINK_PAGINATION_PROMPTS]
+    session.send(`${probe}\r\n`)
+    let output = ''
+    for (let page = 0; page < 10; page++) {
+      const { index, before, match } = await session.expect([promptPattern, ...pagers], timeout)
+      output += before
+      if (index === 0) {
+        break
+      }
+      output += match[0]
+      session.send('q')
+    }
+    return output
+  }
+
+  // Hostname part of the prompt is matched exactly; the mode decoration around it may change
+  // (<Huawei> / [Huawei], Switch> / Switch# / Switch(config)#)
+  buildPromptPattern(prompt) {
+    const hostname = prompt.replace(/^[<[]/, '').replace(/(\([^)]*\))?[#>$%\]]$/, '')
+    const escaped = hostname.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    // The prompt has to start a line and end the output, so "description uplink to Switch#" in a
+    // config line does not complete a command (the lookbehind keeps the line break when stripping)
+    return new RegExp(`(?<=^|[\\r\\n])[<[]?${escaped}(\\([^)]*\\))?[#>$%\\]][ \\t]*$`)
+  }
+
+  // Character set the device writes in: device/brand "encoding", null for the transport default
+  getOutputEncoding(device, settings = this.getDeviceSettings(device)) {
+    const encoding = device.encoding || settings.encoding
+    if (!encoding) {
+      return null
+    }
+    if (!iconv.encodingExists(encoding)) {
+      logger.warn(`Unknown encoding "${encoding}" for ${device.ip}, output is not converted`)
+      return null
+    }
+    return encoding
+  }
+
+  // Decoder for one command's raw output (Buffers from shell streams, latin1 strings from exec).
+  // Streaming, so a multi-byte character split across chunks is decoded correctly.
+  createOutputDecoder(device, settings) {
+    const encoding = this.getOutputEncoding(device, settings)
+    if (!encoding) {
+      return data => data.toString()
+    }
+    const decoder = iconv.getDecoder(encoding)
+    return data => decoder.write(Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1'))
+  }
+
+  // Command output is complete when it ends with the learned prompt on a new line; without a learned
+  // prompt any trailing [$%#>] counts once the output is longer than the echoed command.
+  // recent is the tail of the output received so far, received its total length.
+  isCommandComplete(recent, chunk, command, device, received, settings = {}) {
+    // A command's completionPattern ends it without waiting for the prompt
+    if (settings.command?.completionPattern && this.toPattern(settings.command.completionPattern).test(recent)) {
+      return true
+    }
+    const learned = this.learnedPrompts.get(this.deviceKey(device))
+    if (learned) {
+      // Start the tail at a line break, as its first line is usually cut off
+      const tail = recent.slice(-256)
+      const lineStart = tail.search(/[\r\n]/)
+      return lineStart >= 0 && learned.pattern.test(tail.slice(lineStart))
+    }
+    return /[$%#>]\s*$/.test(chunk) && received > command.length + 10
+  }
+
+  // Convert a '/.../flags' string or RegExp setting into a RegExp, else return the default
+  parsePattern(value, defaultPattern) {
+    if (value instanceof RegExp) {
+      return value
+    }
+    if (typeof value === 'string' && value.startsWith('/')) {
+      const match = value.match(/^\/(.*)\/(.*)$/)
+      if (match) {
+        try {
+          return new RegExp(match[1], match[2] || '')
+        } catch { }
+      }
+    }
+    return defaultPattern
+  }
+
+  // Send the enable command, answer the "Password:" prompt with the enable secret and
+  // verify that the prompt switched to privileged mode
+  async enterPrivilegedMode(connection, device, credentials, settings, enableCommand) {
+    const privilegedPrompt = this.parsePattern(settings.privilegedPrompt, /#\s*$/)
+    const secretPrompt = this.parsePattern(settings.enablePasswordPrompt, /password[: ]*$/i)
+    const deniedPattern = /(% ?Access denied|% ?Bad (secrets|passwords)|% ?Error|Invalid password|Password incorrect|denied)/i
+    const timeoutMs = settings.enableTimeout || 10000
+
+    // Many networks reuse the login password as enable secret
+    const secret = credentials.enableSecret !== null && credentials.enableSecret !== undefined
+      ? credentials.enableSecret
+      : credentials.password
+
+    const stream = await connection.shell()
+
+    return new Promise((resolve, reject) => {
+      let output = ''
+      let secretSent = false
+      let finished = false
+
+      const finish = (error) => {
+        if (finished) return
+        finished = true
+        clearTimeout(timer)
+        stream.removeListener('data', onData)
+        stream.destroy()
+        if (error) {
+          reject(error)
+        } else {
+          resolve(output)
+        }
+      }
 
-      // D-Link: try to clear possible hanging connections first
-      if (device.brand?.toLowerCase() === 'd-link') {
-        logger.debug(`D-Link connection attempt to ${device.ip}`)
+      const timer = setTimeout(() => {
+        finish(new Error(`no privileged prompt after "${enableCommand}" (last output: "${output.slice(-80).trim()}")`))
+      }, timeoutMs)
+
+      const onData = (data) => {
+        output += data.toString()
+        const tail = output.slice(-200)
+
+        const denied = tail.match(deniedPattern)
+        if (denied) {
+          finish(new Error(`enable secret rejected (${denied[0].trim()})`))
+        } else if (secretPrompt.test(tail)) {
+          if (secretSent) {
+            finish(new Error('enable secret rejected (password prompted again)'))
+            return
+          }
+          if (!secret) {
+            finish(new Error('device asked for an enable secret but none is configured'))
+            return
+          }
+          logger.debug(`Enable password prompt detected on ${device.ip} - sending enable secret`)
+          secretSent = true
+          output = ''
+          stream.write(secret + '\r\n')
+        } else if (privilegedPrompt.test(tail)) {
+          logger.debug(`Privileged prompt detected on ${device.ip}: "${tail.trim().split(/\r?\n/).pop()}"`)
+          finish()
+        } else if (/[>$%]\s*$/.test(tail) && output.length > enableCommand.length + 2) {
+          finish(new Error(`prompt is still unprivileged ("${tail.trim().split(/\r?\n/).pop()}")`))
+        }
       }
 
-      await connection.connect(params)
-      logger.info(`Successfully connected to ${device.ip}`)
+      stream.on('data', onData)
+      stream.on('error', error => finish(error))
+      stream.write(enableCommand + '\r\n')
+    })
+  }
 
-      // Enter privileged mode if required
-      logger.debug(`Checking enable requirements for ${device.ip}: settings.requiresEnable=${settings.requiresEnable}, device.requiresEnable=${device.requiresEnable}, device.enableCommand=${device.enableCommand}`)
+  // Run a command and return its sanitised output. Options:
+  //   category   - command category ('config', 'mac', 'version', ...), selects the category-specific sanitiser rules
+  //   outputFile - stream the output to this file instead (atomically replaced, bounded memory);
+  //                the file path is returned
+  //   commandOptions - the command entry's own options (see getCommandSettings)
+  async executeCommand(connection, command, device, isLastCommand = false, options = {}) {
+    const settings = this.getCommandSettings(device, options.commandOptions)
+    // Console sessions are raw, so they always use the shell path
+    const connectionMethod = device.accessMode === 'console' ? 'shell' : (settings.connectionMethod || 'exec')
+
+    const writer = await new OutputWriter({
+      file: options.outputFile || null,
+      // exec() already drops the echoed command line
+      echo: connectionMethod === 'shell' ? command : null,
+      sanitizer: this.getSanitizerOptions(device, options.category, settings),
+      finalize: text => this.stripTrailingPrompt(text, device)
+    }).open()
 
-      if ((settings.requiresEnable || device.requiresEnable) && device.enableCommand) {
-        try {
-          console.log(chalk.cyan(`✓ Enable condition met for ${device.ip} - sending command: ${device.enableCommand}`))
-          logger.info(`Entering privileged mode on ${device.ip} with command: ${device.enableCommand}`)
-          await connection.exec(device.enableCommand)
-          console.log(chalk.green(`✓ Successfully entered privileged mode on ${device.ip}`))
-          logger.info(`Successfully entered privileged mode on ${device.ip}`)
-        } catch (error) {
-          console.log(chalk.red(`✗ Failed to enter privileged mode on ${device.ip}: ${error.message}`))
-          logger.warn(`Failed to enter privileged mode on ${device.ip}: ${error.message}`)
-        }
+    try {
+      if (connectionMethod === 'shell') {
+        await this.executeCommandWithShell(connection, command, device, isLastCommand, writer, settings)
       } else {
-        console.log(chalk.gray(`- No enable command needed for ${device.ip}`))
+        await this.executeCommandWithExec(connection, command, device, writer, settings)
       }
+      await writer.close()
+      logger.debug(`Output of "${command}" from ${device.ip}: ${writer.length} chars`)
 
-      return connection
+      this.checkCommandError(writer.head, command, device, settings)
+      await writer.commit()
     } catch (error) {
-      logger.error(`Connection error to ${device.ip}: ${error.message}`)
+      await writer.discard()
       throw error
     }
+    return options.outputFile || writer.toString()
   }
 
-  async executeCommand(connection, command, device, isLastCommand = false) {
-    const settings = this.getDeviceSettings(device)
-    const connectionMethod = settings.connectionMethod || 'exec'
+  // Sanitiser settings for every execution path: built-in terminal/pager cleanup, then the
+  // brand's built-in rules, then sanitizeRules from brand settings and the device entry.
+  // Rules are '/regex/flags' strings (removed) or { pattern, replace, only } objects.
+  getSanitizerOptions(device, category = null, settings = this.getDeviceSettings(device)) {
+    const brand = (device.brand || device.vendor || '').toLowerCase()
+    const toRule = (entry) => {
+      const isObject = entry && typeof entry === 'object' && !(entry instanceof RegExp)
+      const pattern = this.toPattern(isObject ? entry.pattern : entry)
+      return {
+        pattern: pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g'),
+        replace: isObject ? entry.replace : '',
+        only: isObject ? entry.only : undefined
+      }
+    }
 
-    if (connectionMethod === 'shell') {
-      return await this.executeCommandWithShell(connection, command, device, isLastCommand)
-    } else {
-      return await this.executeCommandWithExec(connection, command, device)
+    const rules = [
+      ...(DEFAULT_SANITIZE_RULES[brand] || []),
+      ...(settings.sanitizeRules || []),
+      ...(device.sanitizeRules || [])
+    ].map(toRule).filter(rule => !rule.only || rule.only === category)
+
+    // Custom pager prompts are residue as well (the built-in ones are already covered)
+    const pagerPatterns = (device.paginationPrompts || settings.paginationPrompts || [])
+      .map(entry => toRule(entry && typeof entry === 'object' && !(entry instanceof RegExp) ? entry.prompt : entry).pattern)
+
+    return { pagerPatterns, rules }
+  }
+
+  // Throw when the device rejected the command, so its error text is never saved as data.
+  // Signatures come from device/brand errorPatterns, else the built-in list.
+  checkCommandError(output, command, device, settings = this.getDeviceSettings(device)) {
+    const patterns = this.toPatterns(settings.command?.errorPatterns || device.errorPatterns || settings.errorPatterns || DEFAULT_CLI_ERROR_PATTERNS)
+    const lines = String(output || '').split(/\r?\n/).filter(line => line.trim()).slice(0, CLI_ERROR_CHECK_LINES)
+    const index = lines.findIndex(line => patterns.some(pattern => pattern.test(line)))
+    if (index === -1) {
+      return
     }
+
+    const snippet = lines.slice(Math.max(0, index - 1), index + 2).join('\n').trim().slice(0, 300)
+    const error = new Error(`Device rejected command "${command}": ${lines[index].trim()}`)
+    error.cliError = true
+    error.snippet = snippet
+    throw error
   }
 
-  async executeCommandWithExec(connection, command, device) {
+  async executeCommandWithExec(connection, command, device, writer, settings = this.getDeviceSettings(device)) {
+    // Per-command timeout and completion pattern; the session values are restored afterwards
+    const saved = connection.opts ? { shellPrompt: connection.opts.shellPrompt, execTimeout: connection.opts.execTimeout } : null
     try {
       logger.debug(`Executing command with exec() on ${device.ip}: ${command}`)
-      let result = await connection.exec(command)
+      const completion = settings.command?.completionPattern ? this.toPattern(settings.command.completionPattern) : null
+      const learned = this.learnedPrompts.get(this.deviceKey(device))
+      if (learned && connection.opts) {
+        // exec() must also return on pager prompts so they are answered here instead of timing out;
+        // the learned prompt is stripped below rather than by the transport
+        const stopPatterns = [learned.pattern, ...(completion ? [completion] : []), ...this.getPaginationRules(device, settings).map(rule => rule.pattern)]
+        connection.opts.shellPrompt = new RegExp(stopPatterns.map(pattern => `(?:${pattern.source})`).join('|'), 'i')
+        connection.opts.stripShellPrompt = false
+        // telnet-client would otherwise delete its own "---- More" separator from the page first
+        connection.opts.pageSeparator = null
+      } else if (completion && connection.opts) {
+        connection.opts.shellPrompt = new RegExp(`(?:${new RegExp(connection.opts.shellPrompt).source})|(?:${completion.source})`, 'i')
+      }
+      if (settings.command?.timeout && connection.opts) {
+        connection.opts.execTimeout = settings.command.timeout
+      }
+
+      const decode = this.createOutputDecoder(device, settings)
+      // Each page goes straight to the writer; only the current page is held in memory
+      const result = decode(await this.execWithinBuffer(connection, () => connection.exec(command)))
+      writer.write(result)
       let attempts = 0
       const maxAttempts = 200
       // Keep sending pagination input until prompt is gone (like standalone test)
-      while (this.needsMoreInput(result, device) && attempts < maxAttempts) {
+      let rule = this.matchPagination(result, device, settings)
+      while (rule && attempts < maxAttempts) {
+        if (rule.abort) {
+          logger.warn(`Abort prompt ${rule.pattern} from ${device.ip} during "${command}" - quitting pager`)
+          writer.write(decode(await this.execWithinBuffer(connection, () => this.execKeystroke(connection, rule.input))))
+          break
+        }
         logger.info(`Device ${device.ip} requires additional input (pagination)`)
-        const moreData = await connection.exec(this.getDeviceSettings(device).paginationInput || ' ')
-        result += moreData
+        const moreData = decode(await this.execWithinBuffer(connection, () => this.execKeystroke(connection, rule.input ?? (settings.paginationInput || ' '))))
+        writer.write(moreData)
         attempts++
+        // Only the latest chunk: earlier pages still contain the prompts already answered
+        rule = this.matchPagination(moreData, device, settings)
       }
       if (attempts >= maxAttempts) {
         logger.warn(`Maximum pagination attempts reached for ${device.ip}`)
       }
-      return result
     } catch (error) {
       logger.error(`Error executing command "${command}" on ${device.ip}: ${error.message}`)
       throw error
+    } finally {
+      if (saved) {
+        Object.assign(connection.opts, saved)
+      }
+    }
+  }
+
+  // telnet-client and SshClient keep a whole reply in memory and, past maxBufferLength (1 MB),
+  // return what they have as if the prompt had arrived. That page is cut short and the rest is still
+  // on its way, so the command fails instead of being saved truncated.
+  async execWithinBuffer(connection, run) {
+    let exceeded = false
+    const onExceeded = () => { exceeded = true }
+    connection.on('bufferexceeded', onExceeded)
+    try {
+      const output = await run()
+      if (exceeded) {
+        throw new Error(`Output exceeded the exec() buffer of ${connection.opts.maxBufferLength} characters - use "connectionMethod": "shell" for this device`)
+      }
+      return output
+    } finally {
+      connection.removeListener('bufferexceeded', onExceeded)
+    }
+  }
+
+  // Pager prompts take a single keystroke, which the device does not echo: the newline exec()
+  // appends would count as a second key (skipping a page on "press any key" pagers), and the
+  // echo line it strips would be the first line of the next page.
+  // telnet-client keeps exec() options, so both are restored once the page has arrived.
+  async execKeystroke(connection, input) {
+    const { ors, echoLines } = connection.opts
+    try {
+      return await connection.exec(input, { ors: '', echoLines: 0 })
+    } finally {
+      Object.assign(connection.opts, { ors, echoLines })
     }
   }
 
-  async executeCommandWithShell(connection, command, device, isLastCommand = false) {
+  // Output goes to the writer as it arrives; only the last bit is kept here for prompt detection
+  async executeCommandWithShell(connection, command, device, isLastCommand = false, writer, settings = this.getDeviceSettings(device)) {
     logger.debug(`Executing command with shell() on ${device.ip}: ${command}`)
 
     // Use special D-Link logic if it's a D-Link device
     if (device.brand?.toLowerCase() === 'd-link') {
-      return this.executeCommandForDLink(connection, command, device, isLastCommand)
+      return this.executeCommandForDLink(connection, command, device, isLastCommand, writer, settings)
     }
 
-    const settings = this.getDeviceSettings(device)
+    const decode = this.createOutputDecoder(device, settings)
 
     return new Promise((resolve, reject) => {
-      let fullResult = ''
+      let recent = ''
+      let received = 0
       let isComplete = false
       let commandTimeout
 
@@ -419,8 +1697,8 @@ class NetworkDeviceCollector {
         // Special shorter timeout for specific problematic BDCOM MAC device
         if (device.brand?.toLowerCase() === 'bdcom' && command.includes('mac') && device.ip === process.env.DEBUG_DEVICE_IP) {
           setTimeout(() => {
-            if (!isComplete && fullResult.length > 1000) {
-              logger.warn(`BDCOM MAC: Force completing after 30s, got ${fullResult.length} chars from ${device.ip}`)
+            if (!isComplete && received > 1000) {
+              logger.warn(`BDCOM MAC: Force completing after 30s, got ${received} chars from ${device.ip}`)
               isComplete = true
               stream.destroy()
             }
@@ -435,16 +1713,18 @@ class NetworkDeviceCollector {
           // Add timeout specifically for problematic BDCOM MAC device
           if (device.brand?.toLowerCase() === 'bdcom' && command.includes('mac') && device.ip === process.env.DEBUG_DEVICE_IP) {
             setTimeout(() => {
-              if (fullResult.length < 100) {
-                logger.warn(`BDCOM MAC: No significant data received after 10s from ${device.ip}, fullResult length: ${fullResult.length}`)
+              if (received < 100) {
+                logger.warn(`BDCOM MAC: No significant data received after 10s from ${device.ip}, received: ${received} chars`)
               }
             }, 10000)
           }
         }, 500)
 
         stream.on('data', (data) => {
-          const output = data.toString()
-          fullResult += output
+          const output = decode(data)
+          writer.write(output)
+          received += output.length
+          recent = (recent + output).slice(-1024)
 
           // Add debugging for specific BDCOM MAC table issue
           if (device.brand?.toLowerCase() === 'bdcom' && command.includes('mac') && device.ip === process.env.DEBUG_DEVICE_IP) {
@@ -452,10 +1732,14 @@ class NetworkDeviceCollector {
           }
 
           // Check for pagination patterns
-          if (this.needsMoreInput(output, device)) {
-            logger.debug(`Pagination detected for ${device.ip} - sending continuation`)
-            const paginationInput = settings.paginationInput || 'a'
-            stream.write(paginationInput)
+          const rule = this.matchPagination(output, device, settings)
+          if (rule) {
+            if (rule.abort) {
+              logger.warn(`Abort prompt ${rule.pattern} from ${device.ip} during "${command}" - quitting pager`)
+            } else {
+              logger.debug(`Pagination detected for ${device.ip} - sending continuation`)
+            }
+            stream.write(rule.input ?? (settings.paginationInput || 'a'))
 
             // For D-Link, set flag to wait for more data after pagination
             if (device.brand?.toLowerCase() === 'd-link') {
@@ -465,7 +1749,7 @@ class NetworkDeviceCollector {
             }
           }
           // Check if command is complete (ends with prompt)
-          else if (output.match(/[$%#>]\s*$/) && fullResult.length > command.length + 10) {
+          else if (this.isCommandComplete(recent, output, command, device, received, settings)) {
             if (!isComplete) {
               logger.debug(`Command completed for ${device.ip} - prompt detected`)
               isComplete = true
@@ -483,14 +1767,13 @@ class NetworkDeviceCollector {
             clearTimeout(commandTimeout)
           }
 
-          // Clean the result
-          let cleanResult = this.cleanShellResult(fullResult, command, device)
-
-          if (cleanResult.length > 0) {
-            resolve(cleanResult)
-          } else {
-            reject(new Error('No command output received'))
-          }
+          writer.close().then(() => {
+            if (writer.length > 0) {
+              resolve()
+            } else {
+              reject(new Error('No command output received'))
+            }
+          }, reject)
         })
 
         stream.on('error', (err) => {
@@ -507,11 +1790,12 @@ class NetworkDeviceCollector {
   }
 
   // Special method for D-Link devices with exact working logic from test
-  async executeCommandForDLink(connection, command, device, isLastCommand = false) {
-    logger.debug(`Executing D-Link command with shell(): ${command}`)
+  async executeCommandForDLink(connection, command, device, isLastCommand = false, writer, settings = this.getDeviceSettings(device)) {
+    logger.debug(`Executing D-Link command with shell() on ${device.ip}: ${command}`)
 
     return new Promise((resolve, reject) => {
-      let fullResult = ''
+      let recent = ''
+      let received = 0
       let isComplete = false
       let commandTimeout
       let inactivityTimer = null
@@ -524,35 +1808,39 @@ class NetworkDeviceCollector {
           return
         }
 
-        logger.debug('Started D-Link shell session')
+        logger.debug(`Started D-Link shell session for ${device.ip}`)
 
         // Get D-Link brand settings for timeouts
         const brandSettings = this.brandSettings['D-Link'] || {}
-        const commandTimeoutMs = brandSettings.commandTimeout || 600000 // 10 minutes default
+        const decode = this.createOutputDecoder(device, settings)
+        const commandTimeoutMs = settings.command?.timeout || brandSettings.commandTimeout || 600000 // 10 minutes default
 
         // Set a timeout to prevent hanging
         commandTimeout = setTimeout(() => {
           if (!isComplete) {
-            logger.warn('D-Link command timeout - forcing completion')
+            logger.warn(`D-Link command timeout for ${device.ip} - forcing completion`)
             isComplete = true
             if (!streamClosed) stream.destroy()
           }
         }, commandTimeoutMs)
 
-        // Allow per-device override via inactivityTimeout (ms) in JSON, else use brand settings
-        const INACTIVITY_MS = (typeof device.inactivityTimeout === 'number' && device.inactivityTimeout > 0)
-          ? device.inactivityTimeout
-          : (brandSettings.inactivityTimeout || 60000) // Use brand settings or 60sec default
+        // Allow per-command and per-device override via inactivityTimeout (ms) in JSON, else use brand settings
+        const commandInactivity = settings.command?.inactivityTimeout
+        const INACTIVITY_MS = (typeof commandInactivity === 'number' && commandInactivity > 0)
+          ? commandInactivity
+          : (typeof device.inactivityTimeout === 'number' && device.inactivityTimeout > 0)
+            ? device.inactivityTimeout
+            : (brandSettings.inactivityTimeout || 60000) // Use brand settings or 60sec default
         function resetInactivityTimer() {
           if (inactivityTimer) clearTimeout(inactivityTimer)
           inactivityTimer = setTimeout(() => {
             if (!isComplete) {
-              logger.debug(`D-Link inactivity timeout (${INACTIVITY_MS} ms): no more data, closing stream`)
+              logger.debug(`D-Link inactivity timeout (${INACTIVITY_MS} ms) for ${device.ip}: no more data, closing stream`)
               isComplete = true
               // Only send 'logout' if this is the last command
               if (isLastCommand && !logoutSent && !streamClosed) {
                 logoutSent = true;
-                logger.debug('Sending "logout" to D-Link before closing stream (last command)')
+                logger.debug(`Sending "logout" to D-Link ${device.ip} before closing stream (last command)`)
                 stream.write('logout\r\n')
                 setTimeout(() => {
                   if (!streamClosed) stream.destroy()
@@ -566,34 +1854,42 @@ class NetworkDeviceCollector {
 
         // Send command immediately without waiting for prompt
         setTimeout(() => {
-          logger.debug(`Sending D-Link command immediately: ${command}`)
+          logger.debug(`Sending D-Link command immediately to ${device.ip}: ${command}`)
           stream.write(command + '\r\n')
         }, 500) // Small delay to establish session
 
         stream.on('data', (data) => {
-          const output = data.toString()
-          fullResult += output
+          const output = decode(data)
+          writer.write(output)
+          received += output.length
+          recent = (recent + output).slice(-1024)
 
           // Log last 200 chars of each chunk for debug
-          logger.debug(`D-Link output chunk (last 200 chars): "${output.slice(-200)}"`)
+          logger.debug(`D-Link output chunk from ${device.ip} (last 200 chars): "${output.slice(-200)}"`)
 
           // Reset inactivity timer on every data chunk
           resetInactivityTimer()
 
           // Check for D-Link pagination patterns
-          if (this.needsMoreInput(output, device)) {
-            logger.debug('D-Link pagination detected - sending "a"...')
-            stream.write('a')
+          const rule = this.matchPagination(output, device, settings)
+          if (rule) {
+            const input = rule.input ?? settings.command?.paginationInput ?? 'a'
+            if (rule.abort) {
+              logger.warn(`Abort prompt ${rule.pattern} from D-Link ${device.ip} during "${command}" - quitting pager`)
+            } else {
+              logger.debug(`D-Link pagination detected for ${device.ip} - sending "${input}"...`)
+            }
+            stream.write(input)
           }
           // Check if command is complete (ends with prompt)
-          else if (output.match(/[$%#>]\s*$/) && fullResult.length > command.length + 10) {
+          else if (this.isCommandComplete(recent, output, command, device, received, settings)) {
             if (!isComplete) {
-              logger.debug('D-Link command completed - prompt detected')
+              logger.debug(`D-Link command completed for ${device.ip} - prompt detected`)
               isComplete = true
               // Only send 'logout' if this is the last command
               if (isLastCommand && !logoutSent && !streamClosed) {
                 logoutSent = true;
-                logger.debug('Sending "logout" to D-Link before closing stream (last command)')
+                logger.debug(`Sending "logout" to D-Link ${device.ip} before closing stream (last command)`)
                 stream.write('logout\r\n')
                 setTimeout(() => {
                   if (!streamClosed) stream.destroy()
@@ -612,33 +1908,23 @@ class NetworkDeviceCollector {
           streamClosed = true
           if (inactivityTimer) clearTimeout(inactivityTimer)
           if (commandTimeout) clearTimeout(commandTimeout)
-          logger.debug('D-Link shell session closed')
+          logger.debug(`D-Link shell session closed for ${device.ip}`)
 
           if (!isComplete) {
-            logger.warn('D-Link session closed without completion detection')
+            logger.warn(`D-Link session closed without completion detection for ${device.ip}`)
           }
 
-          // Clean the result - remove prompts and command echo (D-Link specific)
-          let cleanResult = fullResult
-          const commandIndex = cleanResult.indexOf(command)
-          if (commandIndex !== -1) {
-            cleanResult = cleanResult.substring(commandIndex + command.length)
-          }
-          cleanResult = cleanResult.replace(/DGS-\d+-\d+SC:[a-zA-Z]+[#$>]\s*$/, '')
-          cleanResult = cleanResult.replace(/[#$>]\s*$/, '')
-          cleanResult = cleanResult.trim()
-
-          logger.debug(`D-Link cleaned result: ${cleanResult.length} chars`)
-
-          if (cleanResult.length > 0) {
-            resolve(cleanResult)
-          } else {
-            reject(new Error('No D-Link command output received'))
-          }
+          writer.close().then(() => {
+            if (writer.length > 0) {
+              resolve()
+            } else {
+              reject(new Error('No D-Link command output received'))
+            }
+          }, reject)
         })
 
         stream.on('error', (err) => {
-          logger.error(`D-Link shell error: ${err.message}`)
+          logger.error(`D-Link shell error for ${device.ip}: ${err.message}`)
           if (inactivityTimer) clearTimeout(inactivityTimer)
           if (commandTimeout) clearTimeout(commandTimeout)
           reject(err)
@@ -647,60 +1933,42 @@ class NetworkDeviceCollector {
     })
   }
 
-  needsMoreInput(output, device) {
-    // D-Link specific patterns (flexible patterns from working test)
-    const dlinkPatterns = [
-      /Quit.*SPACE.*Next.*Page/i,
-      /SPACE.*n.*Next.*Page/i,
-      /ENTER.*Next.*Entry.*a.*All/i,
-      /a All/i,
-      /CTRL\+C ESC q Quit SPACE n Next Page ENTER Next Entry a All\s*/i,   // backup exact pattern
-      /Press any key to continue \(Q to quit\)/i,
-      /CTRL\+C ESC q Quit SPACE n Next Page\s*/i
-    ]
-
-    // Standard patterns for OLTs and other devices
-    const standardPatterns = [
-      /--More--/i,
-      /\s+--More--\s*/i,    // BDCOM specific pattern with spaces
-      /Press any key to continue/i,
-      /Press SPACE to continue/i,
-      /Press Enter to continue/i,
-      /\[Press 'A' for All or ENTER to continue\]/i,
-      /Type <CR> to continue/i,
-      /More\s*$/i
-    ]
-
-    // Choose patterns based on device brand
+  // Pagination rules for a device: { pattern, input, abort }. Prompts come from device.paginationPrompts,
+  // then brand settings, then the built-in lists. Entries are strings ('/regex/flags' or literal text)
+  // or { prompt, send } objects; abort prompts quit the pager instead of continuing it.
+  getPaginationRules(device, settings = this.getDeviceSettings(device)) {
     const brand = device.brand?.toLowerCase()
-    let patterns
-
-    if (brand === 'd-link' || brand === 'dlink') {
-      patterns = dlinkPatterns
-      // Debug output for D-Link
-      const hasMore = patterns.some(pattern => pattern.test(output))
-      if (hasMore) {
-        logger.debug(`D-Link pagination pattern matched in: "${output.slice(-100)}"`)
-      } else {
-        logger.debug(`D-Link pagination pattern NOT matched in: "${output.slice(-100)}"`)
+    const defaults = (brand === 'd-link' || brand === 'dlink') ? DEFAULT_DLINK_PAGINATION_PROMPTS : DEFAULT_PAGINATION_PROMPTS
+    const toRule = (entry, abort) => {
+      const isObject = entry && typeof entry === 'object' && !(entry instanceof RegExp)
+      const send = isObject ? entry.send : undefined
+      return {
+        pattern: this.toPattern(isObject ? entry.prompt : entry),
+        input: send !== undefined ? send : (abort ? (settings.paginationAbortInput || 'q') : null),
+        abort
       }
-      return hasMore
-    } else {
-      patterns = standardPatterns
+    }
 
-      // Debug output for BDCOM
-      if (brand === 'bdcom' && device.ip === process.env.DEBUG_DEVICE_IP) {
-        const hasMore = patterns.some(pattern => pattern.test(output))
-        if (hasMore) {
-          logger.debug(`BDCOM pagination pattern matched in: "${output.slice(-100)}"`)
-        } else {
-          logger.debug(`BDCOM pagination pattern NOT matched in: "${output.slice(-100)}"`)
-        }
-        return hasMore
-      }
+    const abortPrompts = device.paginationAbortPrompts || settings.paginationAbortPrompts || []
+    const prompts = device.paginationPrompts || settings.paginationPrompts || defaults
+    return [
+      ...abortPrompts.map(entry => toRule(entry, true)),
+      ...prompts.map(entry => toRule(entry, false))
+    ]
+  }
+
+  // First pagination rule matching the output, or null. A rule without its own input
+  // uses the caller's paginationInput.
+  matchPagination(output, device, settings) {
+    const rule = this.getPaginationRules(device, settings).find(rule => rule.pattern.test(output))
+    if (rule) {
+      logger.debug(`Pagination prompt ${rule.pattern} matched for ${device.ip} in: "${output.slice(-100)}"`)
     }
+    return rule || null
+  }
 
-    return patterns.some(pattern => pattern.test(output))
+  needsMoreInput(output, device) {
+    return this.matchPagination(output, device) !== null
   }
 
   async handleMoreInputWithExec(connection, device) {
@@ -715,7 +1983,7 @@ class NetworkDeviceCollector {
     while (attempts < maxAttempts) {
       try {
         // Send pagination input
-        const moreData = await connection.exec(inputChar)
+        const moreData = await this.execKeystroke(connection, inputChar)
         additionalOutput += moreData
 
         if (!this.needsMoreInput(moreData, device)) {
@@ -741,88 +2009,250 @@ class NetworkDeviceCollector {
     return additionalOutput
   }
 
-  cleanShellResult(fullResult, command, device) {
-    let cleanResult = fullResult
+  // Remove the trailing prompt from the end of the output: the learned one if known, else the D-Link/generic patterns
+  stripTrailingPrompt(text, device) {
+    let result = text.replace(/\s+$/, '')
+    const learned = this.learnedPrompts.get(this.deviceKey(device))
+    const brand = device.brand?.toLowerCase()
+    if (learned) {
+      return result.replace(learned.pattern, '')
+    }
+    if (brand === 'd-link' || brand === 'dlink') {
+      result = result.replace(/DGS-\d+-\d+SC:[a-zA-Z]+[#$>]\s*$/, '')
+    }
+    return result.replace(/[#$>]\s*$/, '')
+  }
+
 
-    // Remove everything before the command
-    const commandIndex = cleanResult.indexOf(command)
-    if (commandIndex !== -1) {
-      cleanResult = cleanResult.substring(commandIndex + command.length)
+  // Command lists per category: the device's "commands" over the brand's "commands", as
+  // { command, options } entries (see toCommandEntry)
+  getCommandCategories(device, settings = this.getDeviceSettings(device)) {
+    const categories = { ...settings.commands, ...device.commands }
+    for (const category of Object.keys(categories)) {
+      if (!CATEGORY_NAME.test(category)) {
+        logger.warn(`Ignoring command category "${category}" of ${device.ip}: only letters, digits, "_" and "-" are allowed`)
+        delete categories[category]
+        continue
+      }
+      categories[category] = [].concat(categories[category] || [])
+        .map(entry => this.toCommandEntry(entry, device, category))
+        .filter(Boolean)
     }
+    return categories
+  }
 
-    // Remove trailing prompts based on device type
-    const brand = device.brand?.toLowerCase()
-    if (brand === 'd-link' || brand === 'dlink') {
-      cleanResult = cleanResult.replace(/DGS-\d+-\d+SC:[a-zA-Z]+[#$>]\s*$/, '')
+  // A command list entry is a string or an object with the command and its own options
+  // (COMMAND_OPTIONS), e.g. { "command": "show fdb", "inactivityTimeout": 600000 }
+  toCommandEntry(entry, device, category) {
+    if (typeof entry === 'string') {
+      return { command: entry, options: {} }
+    }
+    const { command, ...options } = entry || {}
+    if (typeof command !== 'string' || !command.trim()) {
+      logger.warn(`Ignoring ${category} command entry of ${device.ip} without a "command": ${JSON.stringify(entry)}`)
+      return null
+    }
+    const unknown = Object.keys(options).filter(key => !COMMAND_OPTIONS.includes(key))
+    if (unknown.length > 0) {
+      logger.warn(`Unknown options ${unknown.join(', ')} for "${command}" on ${device.ip} are ignored`)
     }
-    cleanResult = cleanResult.replace(/[#$>]\s*$/, '')
-    cleanResult = cleanResult.trim()
+    return { command, options }
+  }
+
+  // Device settings with a command's own options on top. "timeout" bounds the whole command: the
+  // exec() wait, the shell timeout or the D-Link command timeout. The options are also kept as
+  // settings.command, for the ones a device entry would otherwise override.
+  getCommandSettings(device, options = {}) {
+    const settings = this.getDeviceSettings(device)
+    if (Object.keys(options).length === 0) {
+      return settings
+    }
+    const { timeout, connectionMethod, paginationInput } = options
+    return {
+      ...settings,
+      ...(timeout ? { execTimeout: timeout, shellTimeout: timeout, commandTimeout: timeout } : {}),
+      ...(connectionMethod ? { connectionMethod } : {}),
+      ...(paginationInput !== undefined ? { paginationInput } : {}),
+      command: options
+    }
+  }
 
-    logger.debug(`Cleaned result for ${device.ip}: ${cleanResult.length} chars`)
-    return cleanResult
+  // Categories collected in this run, in the order the device lists them
+  getSelectedCategories(device, settings = this.getDeviceSettings(device)) {
+    const categories = Object.entries(this.getCommandCategories(device, settings))
+    return this.collectCategories ? categories.filter(([category]) => this.collectCategories.includes(category)) : categories
   }
 
-  async collectAll() {
-    logger.info('Starting configuration and MAC table collection')
+  // Where a category is saved: built-in defaults, overridden by "categories" in the device file
+  // settings, the brand settings and the device ({ "dir": "...", "extension": ".txt" })
+  getCategoryOutput(device, category, settings = this.getDeviceSettings(device)) {
+    const defaults = {
+      config: { dir: this.configsDir, extension: '.cfg', label: 'configuration' },
+      mac: { dir: this.macTablesDir, extension: '.mac', label: 'MAC table' }
+    }[category] || { dir: path.join(this.outputDir, category), extension: '.txt', label: `"${category}" output` }
+    const output = {
+      ...defaults,
+      ...this.fileSettings.categories?.[category],
+      ...settings.categories?.[category],
+      ...device.categories?.[category]
+    }
+    if (output.extension && !output.extension.startsWith('.')) {
+      output.extension = `.${output.extension}`
+    }
+    return output
+  }
+
+  async getOutputFile(device, category, settings = this.getDeviceSettings(device)) {
+    const { dir, extension } = this.getCategoryOutput(device, category, settings)
+    await fs.mkdir(dir, { recursive: true })
+    return path.join(dir, `${this.deviceFileName(device)}${extension || ''}`)
+  }
 
-    for (const device of this.devices) {
-      const brand = (device.brand || device.vendor || '').toLowerCase()
-      let connection = null
+  // Output file per command of a category. A single command writes the category file. With several,
+  // layout "files" (default) keeps the category file for the first command and gives every other
+  // command its own <ip>_<command> file; layout "sections" writes each command to a part file and
+  // finishCategoryOutput() joins them into the category file.
+  // A command's own "output" file name ({ip} is replaced, relative to the category directory)
+  // always wins.
+  async planCategoryOutput(device, category, commands, settings = this.getDeviceSettings(device)) {
+    const { layout } = this.getCategoryOutput(device, category, settings)
+    const file = await this.getOutputFile(device, category, settings)
+    const { dir, name, ext } = path.parse(file)
+    const names = new Set()
+    return commands.map(({ command, options }, index) => {
+      if (options.output) {
+        const target = path.resolve(dir, options.output.replace(/\{ip\}/g, this.deviceFileName(device)))
+        return { command, options, file: target, target }
+      }
+      if (commands.length === 1) {
+        return { command, options, file, target: file }
+      }
+      if (layout === 'sections') {
+        return { command, options, file, target: `${file}.${index + 1}.part`, section: true }
+      }
+      if (index === 0) {
+        names.add(name)
+        return { command, options, file, target: file }
+      }
+      let suffix = command.toLowerCase().replace(/[^a-z0-9-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'command'
+      if (names.has(`${name}_${suffix}`)) {
+        suffix += `_${index + 1}`
+      }
+      names.add(`${name}_${suffix}`)
+      const target = path.join(dir, `${name}_${suffix}${ext}`)
+      return { command, options, file: target, target }
+    })
+  }
 
+  // After a category's commands ran (entry.status 'saved'/'failed'): join sections and record the
+  // category in the manifest
+  async finishCategoryOutput(device, category, plan) {
+    if (plan.length === 0) {
+      return
+    }
+    const sections = plan.filter(entry => entry.section && entry.status === 'saved')
+    if (sections.length > 0) {
       try {
-        connection = await this.connectToDevice(device)
+        await OutputWriter.joinSections(sections[0].file, sections.map(entry => ({ title: entry.command, file: entry.target })))
+        sections.forEach((entry, index) => { entry.section = index + 1 })
+      } catch (error) {
+        logger.error(`Error joining ${category} sections of ${device.ip}: ${error.message}`)
+        sections.forEach(entry => Object.assign(entry, { status: 'failed', error: error.message }))
+      }
+    }
 
-        // For Cisco: send 'terminal length 0' before commands
-        if (brand === 'cisco') {
-          try {
-            await this.executeCommand(connection, 'terminal length 0', device)
-            await this.sleep(500)
-          } catch (e) {
-            logger.warn(`Failed to set terminal length 0 on ${device.ip}: ${e.message}`)
-          }
-        }
+    const collectedAt = new Date().toISOString()
+    const key = this.deviceKey(device)
+    this.manifest[key] = {
+      ...this.manifest[key],
+      [category]: plan.map(entry => ({
+        command: entry.command,
+        file: entry.file,
+        ...(entry.section && entry.status === 'saved' ? { section: entry.section } : {}),
+        status: entry.status || 'failed',
+        ...(entry.error ? { error: entry.error } : {}),
+        collectedAt
+      }))
+    }
+  }
 
-        // Calculate total commands for D-Link logout logic
-        let totalCommands = device.commands.config.length + device.commands.mac.length
-        // Add 1 for config append command if needed
-        if (brand === 'd-link' && device.appendMissingConfig) {
-          totalCommands += 1
-        }
-        let commandIndex = 0
+  async collectAll() {
+    if (this.collectCategories) {
+      logger.info(`Starting collection of ${this.collectCategories.join(', ')}`)
+    } else {
+      logger.info('Starting configuration and MAC table collection')
+    }
+
+    await this.runDevicePool(this.devices, device => this.collectDevice(device))
+    await this.finishRun()
+  }
+
+  async collectDevice(device) {
+    let brand = (device.brand || device.vendor || '').toLowerCase()
+    const session = { connection: null }
+
+    // Nothing selected with --collect for this device (unless its brand is still to be detected)
+    if (this.collectCategories && !this.needsVendorDetection(device) && this.getSelectedCategories(device).length === 0) {
+      logger.info(`Skipping ${device.ip}: none of the selected categories (${this.collectCategories.join(', ')}) are defined`)
+      return
+    }
+
+    try {
+      session.connection = await this.connectWithRetries(device)
+      // Vendor autodetection may have set the brand during login
+      brand = (device.brand || device.vendor || '').toLowerCase()
+
+      await this.runSessionPreamble(session.connection, device)
 
-        // Collect configurations
-        for (const command of device.commands.config) {
+      const categories = this.getSelectedCategories(device)
+      const appendConfig = brand === 'd-link' && device.appendMissingConfig && categories.some(([category]) => category === 'config')
+
+      // Calculate total commands for D-Link logout logic
+      let totalCommands = categories.reduce((total, [, commands]) => total + commands.length, 0)
+      // Add 1 for config append command if needed
+      if (appendConfig) {
+        totalCommands += 1
+      }
+      // A session postamble does its own logout, so no collection command is the last one
+      const lastCommandIndex = this.getSessionCommands(device, 'sessionPostamble').length > 0 ? -1 : totalCommands
+      let commandIndex = 0
+
+      // Collect every category in the same session
+      for (const [category, commands] of categories) {
+        const { label } = this.getCategoryOutput(device, category)
+        const plan = await this.planCategoryOutput(device, category, commands)
+        for (const entry of plan) {
+          const { command } = entry
           try {
             commandIndex++
-            const isLastCommand = commandIndex === totalCommands
-            const output = await this.executeCommand(connection, command, device, isLastCommand)
-            // Save configuration
-            const filename = `${device.ip.replace(/\./g, '_')}.cfg`
-            const filepath = path.join(this.configsDir, filename)
-            await fs.writeFile(filepath, output, 'utf8')
-            logger.info(`Configuration saved: ${filepath}`)
+            const isLastCommand = commandIndex === lastCommandIndex
+            // Save output (streamed to disk)
+            await this.executeCommandWithRetries(session, command, device, isLastCommand, { category, outputFile: entry.target, commandOptions: entry.options })
+            entry.status = 'saved'
+            logger.info(`${label.charAt(0).toUpperCase()}${label.slice(1)} saved: ${entry.file}`)
             // Pause between commands (only if not the last command)
             if (!isLastCommand) {
               await this.sleep(parseInt(process.env.COMMAND_DELAY) || 2000)
             }
           } catch (error) {
-            logger.error(`Error collecting configuration from ${device.ip} with command "${command}": ${error.message}`)
+            logger.error(`Error collecting ${label} from ${device.ip} with command "${command}": ${error.message}`)
+            this.recordCommandError(device, command, error)
+            Object.assign(entry, { status: 'failed', error: error.message })
           }
         }
 
         // For D-Link devices with appendMissingConfig: try to get remaining config data
-        if (brand === 'd-link' && device.appendMissingConfig) {
+        if (category === 'config' && appendConfig) {
           try {
             commandIndex++
-            const isLastCommand = commandIndex === totalCommands
+            const isLastCommand = commandIndex === lastCommandIndex
             logger.info(`D-Link ${device.ip}: Attempting to collect remaining configuration data`)
-            const remainingOutput = await this.executeCommand(connection, 'show config effective', device, isLastCommand)
+            const remainingOutput = await this.executeCommandWithRetries(session, 'show config effective', device, isLastCommand, { category: 'config' })
 
             // Check if we got meaningful remaining config (not just prompt)
             if (remainingOutput && remainingOutput.length > 50 && !remainingOutput.includes('Command: logout')) {
-              // Append to existing config file
-              const filename = `${device.ip.replace(/\./g, '_')}.cfg`
-              const filepath = path.join(this.configsDir, filename)
+              // Append to the output of the last config command
+              const filepath = plan[plan.length - 1].target
               const existingConfig = await fs.readFile(filepath, 'utf8')
               const completedConfig = existingConfig + '\n' + remainingOutput
               await fs.writeFile(filepath, completedConfig, 'utf8')
@@ -831,199 +2261,328 @@ class NetworkDeviceCollector {
               logger.debug(`D-Link ${device.ip}: No meaningful remaining config data found`)
             }
 
-            // Pause before MAC commands (only if not the last command)
+            // Pause before the next category (only if not the last command)
             if (!isLastCommand) {
               await this.sleep(parseInt(process.env.COMMAND_DELAY) || 2000)
             }
           } catch (error) {
             logger.warn(`D-Link ${device.ip}: Error collecting remaining config: ${error.message}`)
+            this.recordCommandError(device, 'show config effective', error)
           }
         }
 
-        // Collect MAC tables in the same session
-        for (const command of device.commands.mac) {
-          try {
-            commandIndex++
-            const isLastCommand = commandIndex === totalCommands
-            const output = await this.executeCommand(connection, command, device, isLastCommand)
-
-            // For D-Link devices: clean output from config remnants
-            let cleanOutput = output
-            if (brand === 'd-link') {
-              // Remove config-like content that might have leaked into MAC output
-              const configPatterns = [
-                /^#.*$/gm,
-                /^config .*$/gm,
-                /^create .*$/gm,
-                /^disable .*$/gm,
-                /^enable .*$/gm,
-                /^\s*DGS-.*$/gm,
-                /Command: logout.*$/gs,
-                /\*+\s*Logout\s*\*+/gs
-              ]
-
-              configPatterns.forEach(pattern => {
-                cleanOutput = cleanOutput.replace(pattern, '')
-              })
-
-              // Remove empty lines
-              cleanOutput = cleanOutput.replace(/^\s*[\r\n]/gm, '')
-              cleanOutput = cleanOutput.trim()
-
-              logger.debug(`D-Link ${device.ip}: Cleaned MAC output from ${output.length} to ${cleanOutput.length} chars`)
-            }
+        await this.finishCategoryOutput(device, category, plan)
+      }
 
-            // Save MAC table
-            const filename = `${device.ip.replace(/\./g, '_')}.mac`
-            const filepath = path.join(this.macTablesDir, filename)
-            await fs.writeFile(filepath, cleanOutput, 'utf8')
-            logger.info(`MAC table saved: ${filepath}`)
-            // Pause between commands (only if not the last command)
-            if (!isLastCommand) {
-              await this.sleep(parseInt(process.env.COMMAND_DELAY) || 2000)
+      this.completeDeviceResult(device, totalCommands)
+    } catch (error) {
+      logger.error(`Error connecting to ${device.ip}: ${error.message}`)
+      this.recordDeviceResult(device, { status: 'failed', error: error.message })
+    } finally {
+      const { connection } = session
+      if (connection) {
+        try {
+          logger.debug(`Closing connection to ${device.ip}`)
+          await this.closeConnection(connection, device)
+          logger.debug(`Connection closed to ${device.ip}`)
+        } catch (error) {
+          logger.warn(`Error closing connection to ${device.ip}: ${error.message}`)
+          // D-Link: force destroy connection
+          if (brand === 'd-link') {
+            try {
+              logger.debug(`Force destroying D-Link connection to ${device.ip}`)
+              connection.destroy()
+            } catch (e) {
+              logger.debug(`Failed to destroy connection: ${e.message}`)
             }
-          } catch (error) {
-            logger.error(`Error collecting MAC table from ${device.ip} with command "${command}": ${error.message}`)
           }
         }
+      }
+      // D-Link: pause after connection close
+      if (brand === 'd-link') {
+        logger.info(`Pausing after D-Link connection close to allow ${device.ip} to release session...`)
+        await this.sleep(this.getSessionReleaseDelay(device))
+      }
+    }
+  }
+
+  async collectConfigs() {
+    logger.info('Starting configuration collection only')
+
+    await this.runDevicePool(this.devices, device => this.collectDeviceConfigs(device))
+    await this.finishRun()
+  }
+
+  async collectDeviceConfigs(device) {
+    const session = { connection: null }
+
+    try {
+      session.connection = await this.connectWithRetries(device)
+
+      await this.runSessionPreamble(session.connection, device)
+
+      // Collect only configurations
+      const commands = this.getCommandCategories(device).config || []
+      const plan = await this.planCategoryOutput(device, 'config', commands)
+      for (const entry of plan) {
+        const { command } = entry
+        try {
+          const isLastCommand = this.getSessionCommands(device, 'sessionPostamble').length === 0
+          // Save configuration (streamed to disk)
+          await this.executeCommandWithRetries(session, command, device, isLastCommand, { category: 'config', outputFile: entry.target, commandOptions: entry.options })
+          entry.status = 'saved'
+          logger.info(`Configuration saved: ${entry.file}`)
+        } catch (error) {
+          logger.error(`Error collecting configuration from ${device.ip} with command "${command}": ${error.message}`)
+          this.recordCommandError(device, command, error)
+          Object.assign(entry, { status: 'failed', error: error.message })
+        }
+      }
+      await this.finishCategoryOutput(device, 'config', plan)
+
+      this.completeDeviceResult(device, commands.length)
+    } catch (error) {
+      logger.error(`Error connecting to ${device.ip}: ${error.message}`)
+      this.recordDeviceResult(device, { status: 'failed', error: error.message })
+    } finally {
+      const { connection } = session
+      if (connection) {
+        try {
+          logger.debug(`Closing connection to ${device.ip}`)
+          await this.closeConnection(connection, device)
+        } catch (e) {
+          logger.debug(`Error closing connection to ${device.ip}: ${e.message}`)
+        }
+      }
+    }
+  }
+
+  async collectMacTables() {
+    logger.info('Starting MAC table collection')
+    await this.runDevicePool(this.devices, device => this.collectDeviceMacTables(device))
+    await this.finishRun()
+  }
 
+  async collectDeviceMacTables(device) {
+    const brand = (device.brand || device.vendor || '').toLowerCase()
+    const commands = this.getCommandCategories(device).mac || []
+    const plan = await this.planCategoryOutput(device, 'mac', commands)
+    for (const entry of plan) {
+      const { command } = entry
+      const session = { connection: null }
+      try {
+        session.connection = await this.connectWithRetries(device)
+        await this.runSessionPreamble(session.connection, device)
+        // Save MAC table (streamed to disk)
+        await this.executeCommandWithRetries(session, command, device, false, { category: 'mac', outputFile: entry.target, commandOptions: entry.options })
+        entry.status = 'saved'
+        logger.info(`MAC table saved: ${entry.file}`)
       } catch (error) {
-        logger.error(`Error connecting to ${device.ip}: ${error.message}`)
+        logger.error(`Error collecting MAC table from ${device.ip}: ${error.message}`)
+        this.recordCommandError(device, command, error)
+        Object.assign(entry, { status: 'failed', error: error.message })
       } finally {
+        const { connection } = session
         if (connection) {
           try {
-            logger.debug(`Closing connection to ${device.ip}`)
-            await connection.end()
-            logger.debug(`Connection closed to ${device.ip}`)
+            logger.debug(`Closing MAC connection to ${device.ip}`)
+            await this.closeConnection(connection, device)
+            logger.debug(`MAC connection closed to ${device.ip}`)
           } catch (error) {
-            logger.warn(`Error closing connection to ${device.ip}: ${error.message}`)
+            logger.warn(`Error closing MAC connection to ${device.ip}: ${error.message}`)
             // D-Link: force destroy connection
             if (brand === 'd-link') {
               try {
-                logger.debug(`Force destroying D-Link connection to ${device.ip}`)
+                logger.debug(`Force destroying D-Link MAC connection to ${device.ip}`)
                 connection.destroy()
               } catch (e) {
-                logger.debug(`Failed to destroy connection: ${e.message}`)
+                logger.debug(`Failed to destroy MAC connection: ${e.message}`)
               }
             }
           }
         }
         // D-Link: pause after connection close
         if (brand === 'd-link') {
-          logger.info('Pausing after D-Link connection close to allow device to release session...')
-          await this.sleep(8000) // Extended pause to 8 seconds
+          logger.info(`Pausing after D-Link connection close to allow ${device.ip} to release session...`)
+          await this.sleep(this.getSessionReleaseDelay(device))
         }
       }
+      // Pause between commands
+      await this.sleep(parseInt(process.env.COMMAND_DELAY) || 2000)
     }
+    await this.finishCategoryOutput(device, 'mac', plan)
+    this.completeDeviceResult(device, commands.length)
   }
 
-  async collectConfigs() {
-    logger.info('Starting configuration collection only')
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  }
 
-    for (const device of this.devices) {
-      const brand = (device.brand || device.vendor || '').toLowerCase()
-      let connection = null
+  parseConcurrencyLimits(value) {
+    const limits = {}
+    for (const entry of (value || '').split(',')) {
+      const [key, limit] = entry.split(':').map(part => part && part.trim())
+      if (key && parseInt(limit) > 0) {
+        limits[key.toLowerCase()] = parseInt(limit)
+      }
+    }
+    return limits
+  }
 
-      try {
-        connection = await this.connectToDevice(device)
+  // Limits that apply to a device: brandSettings maxConcurrency, then CONCURRENCY_LIMITS by brand or type
+  getConcurrencyKeys(device) {
+    const keys = []
+    const brand = (device.brand || device.vendor || '').toLowerCase()
+    const type = (device.type || '').toLowerCase()
+    const brandLimit = this.concurrencyLimits[brand] || this.getDeviceSettings(device).maxConcurrency
+    if (brand && brandLimit > 0) {
+      keys.push({ key: `brand:${brand}`, limit: brandLimit })
+    }
+    if (type && this.concurrencyLimits[type] > 0) {
+      keys.push({ key: `type:${type}`, limit: this.concurrencyLimits[type] })
+    }
+    return keys
+  }
 
-        // For Cisco: send 'terminal length 0' before commands
-        if (brand === 'cisco') {
-          try {
-            await this.executeCommand(connection, 'terminal length 0', device)
-            await this.sleep(500)
-          } catch (e) {
-            logger.warn(`Failed to set terminal length 0 on ${device.ip}: ${e.message}`)
-          }
+  // Worker pool: starts the first queued device whose brand/type slots are free,
+  // so a busy brand does not block devices of other brands behind it
+  runDevicePool(devices, worker) {
+    const queue = [...devices]
+    const active = new Map()
+    let running = 0
+
+    logger.info(`Collecting from ${devices.length} devices with concurrency ${this.maxConcurrency}`)
+
+    return new Promise(resolve => {
+      const schedule = () => {
+        if (queue.length === 0 && running === 0) {
+          resolve()
+          return
         }
 
-        // Collect only configurations
-        for (const command of device.commands.config) {
-          try {
-            const output = await this.executeCommand(connection, command, device, true)
-            // Save configuration
-            const filename = `${device.ip.replace(/\./g, '_')}.cfg`
-            const filepath = path.join(this.configsDir, filename)
-            await fs.writeFile(filepath, output, 'utf8')
-            logger.info(`Configuration saved: ${filepath}`)
-          } catch (error) {
-            logger.error(`Error collecting configuration from ${device.ip} with command "${command}": ${error.message}`)
+        let index = 0
+        while (index < queue.length && running < this.maxConcurrency) {
+          const device = queue[index]
+          const keys = this.getConcurrencyKeys(device)
+          if (!keys.every(({ key, limit }) => (active.get(key) || 0) < limit)) {
+            index++
+            continue
           }
+
+          queue.splice(index, 1)
+          running++
+          keys.forEach(({ key }) => active.set(key, (active.get(key) || 0) + 1))
+
+          Promise.resolve()
+            .then(() => worker(device))
+            .catch(error => logger.error(`Unexpected error while processing ${device.ip}: ${error.message}`))
+            .finally(() => {
+              running--
+              keys.forEach(({ key }) => active.set(key, active.get(key) - 1))
+              schedule()
+            })
         }
+      }
+
+      schedule()
+    })
+  }
+
+  // D-Link needs time to release the telnet session before it accepts a new one
+  getSessionReleaseDelay(device) {
+    const settings = this.getDeviceSettings(device)
+    if (typeof settings.sessionReleaseDelay === 'number') {
+      return settings.sessionReleaseDelay
+    }
+    const brand = (device.brand || device.vendor || '').toLowerCase()
+    return brand === 'd-link' ? 8000 : 0
+  }
+
+  // Exponential backoff with jitter: half of the delay is fixed, the other half random
+  getRetryDelay(attempt) {
+    const delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt - 1))
+    return Math.round(delay / 2 + Math.random() * delay / 2)
+  }
 
+  // A login the device rejected. A jump host failure is not, even when the jump host rejected its
+  // own login: trying the next device credential set would only log in to the jump host again.
+  isAuthenticationError(error) {
+    return !error.jumpHost && /failed login|authentication/i.test(error.message)
+  }
+
+  isRetryableError(error) {
+    // Repeating a rejected login (to the device or the jump host) or enable secret only risks
+    // locking the account, and a command the device rejected will be rejected again
+    return !/failed login|authentication/i.test(error.message) && !/privileged mode/i.test(error.message) && !error.cliError && !error.reconnectFailed
+  }
+
+  async withRetries(description, device, operation, minDelay = 0) {
+    let attempt = 0
+    while (true) {
+      try {
+        return await operation(attempt)
       } catch (error) {
-        logger.error(`Error connecting to ${device.ip}: ${error.message}`)
-      } finally {
-        if (connection) {
-          try {
-            logger.debug(`Closing connection to ${device.ip}`)
-            await connection.end()
-          } catch (e) {
-            logger.debug(`Error closing connection to ${device.ip}: ${e.message}`)
-          }
+        attempt++
+        if (attempt > this.maxRetries || !this.isRetryableError(error)) {
+          throw error
         }
+        const delay = Math.max(this.getRetryDelay(attempt), minDelay)
+        logger.warn(`${description} on ${device.ip} failed (${error.message}), retry ${attempt}/${this.maxRetries} in ${delay} ms`)
+        await this.sleep(delay)
       }
     }
   }
 
-  async collectMacTables() {
-    logger.info('Starting MAC table collection')
-    for (const device of this.devices) {
-      const brand = (device.brand || device.vendor || '').toLowerCase()
-      for (const command of device.commands.mac) {
-        let connection = null
-        try {
-          connection = await this.connectToDevice(device)
-          // For Cisco: send 'terminal length 0' before MAC table command
-          if (brand === 'cisco') {
-            try {
-              await this.executeCommand(connection, 'terminal length 0', device)
-              await this.sleep(500)
-            } catch (e) {
-              logger.warn(`Failed to set terminal length 0 on ${device.ip}: ${e.message}`)
-            }
-          }
-          const output = await this.executeCommand(connection, command, device)
-          // Save MAC table
-          const filename = `${device.ip.replace(/\./g, '_')}.mac`
-          const filepath = path.join(this.macTablesDir, filename)
-          await fs.writeFile(filepath, output, 'utf8')
-          logger.info(`MAC table saved: ${filepath}`)
-        } catch (error) {
-          logger.error(`Error collecting MAC table from ${device.ip}: ${error.message}`)
-        } finally {
-          if (connection) {
-            try {
-              logger.debug(`Closing MAC connection to ${device.ip}`)
-              await connection.end()
-              logger.debug(`MAC connection closed to ${device.ip}`)
-            } catch (error) {
-              logger.warn(`Error closing MAC connection to ${device.ip}: ${error.message}`)
-              // D-Link: force destroy connection
-              if (brand === 'd-link') {
-                try {
-                  logger.debug(`Force destroying D-Link MAC connection to ${device.ip}`)
-                  connection.destroy()
-                } catch (e) {
-                  logger.debug(`Failed to destroy MAC connection: ${e.message}`)
-                }
-              }
-            }
-          }
-          // D-Link: pause after connection close
-          if (brand === 'd-link') {
-            logger.info('Pausing after D-Link connection close to allow device to release session...')
-            await this.sleep(8000)
-          }
+  async connectWithRetries(device) {
+    // A failed attempt may leave a half-open session on the device, so honour the release delay
+    return this.withRetries('Connection', device, () => this.connectToDevice(device), this.getSessionReleaseDelay(device))
+  }
+
+  // session is { connection }. A failed command can leave the device still sending its output, or
+  // the socket closed, so retries and later commands run on a new connection; the caller closes
+  // session.connection.
+  async executeCommandWithRetries(session, command, device, isLastCommand = false, options = {}) {
+    return this.withRetries(`Command "${command}"`, device, async () => {
+      if (!session.connection || session.stale) {
+        await this.reopenSession(session, device)
+      }
+      try {
+        return await this.executeCommand(session.connection, command, device, isLastCommand, options)
+      } catch (error) {
+        // A command the device rejected leaves the session at the prompt
+        if (!error.cliError) {
+          session.stale = true
         }
-        // Pause between commands
-        await this.sleep(parseInt(process.env.COMMAND_DELAY) || 2000)
+        throw error
       }
-    }
+    })
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
+  // Drop the current connection without a logout (its state is unknown) and log in again
+  async reopenSession(session, device) {
+    const previous = session.connection
+    session.connection = null
+    session.stale = false
+    if (previous) {
+      logger.info(`Reconnecting to ${device.ip} before retrying`)
+      try {
+        await previous.destroy()
+      } catch (error) {
+        logger.debug(`Failed to destroy connection to ${device.ip}: ${error.message}`)
+      }
+      if (previous.transcript) {
+        await previous.transcript.close()
+      }
+      await this.sleep(this.getSessionReleaseDelay(device))
+    }
+    try {
+      session.connection = await this.connectWithRetries(device)
+    } catch (error) {
+      // connectWithRetries has already used up its own retries
+      error.reconnectFailed = true
+      throw error
+    }
+    await this.runSessionPreamble(session.connection, device)
   }
 
   async showDeviceList() {
@@ -1047,6 +2606,23 @@ async function main() {
   }
   const collector = new NetworkDeviceCollector(devicesFileOverride)
 
+  // Support --password-stdin: read the device password from standard input
+  if (args.includes('--password-stdin')) {
+    collector.passwordFd = 0
+  }
+
+  // Support --collect=version,lldp: collect only the listed command categories
+  const collectArg = args.find(arg => arg.startsWith('--collect='))
+  if (collectArg) {
+    collector.collectCategories = collectArg.replace('--collect=', '').split(',').map(category => category.trim()).filter(Boolean)
+  }
+
+  // Support --concurrency=N argument (overrides MAX_CONCURRENCY)
+  const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='))
+  if (concurrencyArg) {
+    collector.maxConcurrency = parseInt(concurrencyArg.replace('--concurrency=', '')) || 1
+  }
+
   try {
     await collector.init()
     await collector.showDeviceList()
@@ -0,0 +1,144 @@
+const net = require('net')
+const fs = require('fs').promises
+const os = require('os')
+const { Client } = require('ssh2')
+
+// Parse a "via" setting: either "user@host:port" or { host, port, username, ... }
+function parseJumpHost(via) {
+  if (typeof via === 'string') {
+    const match = via.match(/^(?:([^@]+)@)?([^:]+)(?::(\d+))?$/)
+    if (!match) {
+      throw new Error(`Invalid jump host "${via}" (expected user@host:port)`)
+    }
+    return { username: match[1] || os.userInfo().username, host: match[2], port: parseInt(match[3]) || 22 }
+  }
+  return { port: 22, username: os.userInfo().username, ...via }
+}
+
+function jumpHostKey(jump) {
+  return `${jump.username}@${jump.host}:${jump.port}`
+}
+
+// Shared SSH connections to bastion hosts. Each device target gets a local TCP
+// forwarder on 127.0.0.1, so Telnet and SSH transports connect to it unchanged.
+class JumpHostPool {
+  constructor(resolvePassword = () => null) {
+    this.resolvePassword = resolvePassword
+    this.clients = new Map()
+    this.forwarders = new Map()
+  }
+
+  async connect(jump) {
+    const key = jumpHostKey(jump)
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.openClient(jump, key))
+    }
+    return this.clients.get(key)
+  }
+
+  async openClient(jump, key) {
+    const config = {
+      host: jump.host,
+      port: jump.port,
+      username: jump.username,
+      readyTimeout: jump.timeout || 30000,
+      keepaliveInterval: 15000
+    }
+
+    const password = this.resolvePassword(jump)
+    if (password) {
+      config.password = password
+    }
+    if (jump.privateKeyFile) {
+      config.privateKey = await fs.readFile(jump.privateKeyFile.replace(/^~(?=\/)/, os.homedir()))
+      if (jump.passphrase) {
+        config.passphrase = jump.passphrase
+      }
+    }
+    if (process.env.SSH_AUTH_SOCK && jump.agent !== false) {
+      config.agent = process.env.SSH_AUTH_SOCK
+    }
+
+    const client = new Client()
+    try {
+      await new Promise((resolve, reject) => {
+        client.once('ready', resolve)
+        client.once('error', reject)
+        client.connect(config)
+      })
+    } catch (error) {
+      this.clients.delete(key)
+      throw new Error(`Jump host ${key}: ${error.message}`)
+    }
+
+    client.on('error', () => { })
+    client.on('close', () => {
+      // Forget the connection and its forwarders so the next device reconnects
+      this.clients.delete(key)
+      for (const [forwarderKey, forwarder] of this.forwarders) {
+        if (forwarderKey.startsWith(`${key}->`)) {
+          forwarder.then(({ server }) => server.close()).catch(() => { })
+          this.forwarders.delete(forwarderKey)
+        }
+      }
+    })
+    return client
+  }
+
+  // Local endpoint that tunnels to targetHost:targetPort through the jump host
+  async getTunnel(via, targetHost, targetPort) {
+    const jump = parseJumpHost(via)
+    const key = `${jumpHostKey(jump)}->${targetHost}:${targetPort}`
+    if (!this.forwarders.has(key)) {
+      this.forwarders.set(key, this.openForwarder(jump, targetHost, targetPort).catch(error => {
+        this.forwarders.delete(key)
+        throw error
+      }))
+    }
+    const { port } = await this.forwarders.get(key)
+    return { host: '127.0.0.1', port, jumpHost: jumpHostKey(jump) }
+  }
+
+  async openForwarder(jump, targetHost, targetPort) {
+    const client = await this.connect(jump)
+
+    const server = net.createServer(socket => {
+      client.forwardOut('127.0.0.1', socket.remotePort || 0, targetHost, targetPort, (error, channel) => {
+        if (error) {
+          socket.destroy()
+          return
+        }
+        socket.pipe(channel).pipe(socket)
+        socket.on('error', () => channel.close())
+        channel.on('error', () => socket.destroy())
+        channel.on('close', () => socket.destroy())
+      })
+    })
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(0, '127.0.0.1', resolve)
+    })
+    return { server, port: server.address().port }
+  }
+
+  async closeAll() {
+    for (const forwarder of this.forwarders.values()) {
+      try {
+        const { server } = await forwarder
+        server.close()
+      } catch { }
+    }
+    this.forwarders.clear()
+
+    for (const pending of this.clients.values()) {
+      try {
+        const client = await pending
+        client.end()
+      } catch { }
+    }
+    this.clients.clear()
+  }
+}
+
+module.exports = { JumpHostPool, parseJumpHost }
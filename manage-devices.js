@@ -4,6 +4,7 @@ const fs = require('fs').promises
 const path = require('path')
 const inquirer = require('inquirer')
 const chalk = require('chalk')
+const { CredentialVault } = require('./credential-vault')
 
 // Load environment variables
 require('dotenv').config()
@@ -13,6 +14,11 @@ const dataDir = process.env.DATA_DIR || './data'
 const devicesFileName = process.env.DEVICES_FILE || 'devices.json'
 const devicesFile = path.join(dataDir, devicesFileName)
 
+const vaultFile = process.env.VAULT_FILE || path.join(dataDir, 'credentials.vault')
+
+// File-level settings when the devices file uses the { settings, devices } form
+let fileSettings = null
+
 // Predefined commands for different vendors
 const vendorCommands = {
   cisco: {
@@ -48,7 +54,12 @@ const vendorCommands = {
 async function loadDevices() {
   try {
     const data = await fs.readFile(devicesFile, 'utf8')
-    return JSON.parse(data)
+    const parsed = JSON.parse(data)
+    if (Array.isArray(parsed)) {
+      return parsed
+    }
+    fileSettings = parsed.settings || {}
+    return parsed.devices || []
   } catch (error) {
     if (error.code === 'ENOENT') {
       return []
@@ -58,7 +69,8 @@ async function loadDevices() {
 }
 
 async function saveDevices(devices) {
-  await fs.writeFile(devicesFile, JSON.stringify(devices, null, 2), 'utf8')
+  const data = fileSettings ? { settings: fileSettings, devices } : devices
+  await fs.writeFile(devicesFile, JSON.stringify(data, null, 2), 'utf8')
 }
 
 async function addDevice() {
@@ -258,8 +270,10 @@ async function listDevices() {
   devices.forEach((device, index) => {
     console.log(chalk.yellow(`${index + 1}. ${device.ip} - ${device.description}`))
     console.log(chalk.gray(`   Type: ${device.type}, Vendor: ${device.vendor}`))
-    console.log(chalk.gray(`   Config: ${device.commands.config.join(', ')}`))
-    console.log(chalk.gray(`   MAC: ${device.commands.mac.join(', ')}`))
+    // Any command category; brand-level commands are not listed here
+    for (const [category, commands] of Object.entries(device.commands || {})) {
+      console.log(chalk.gray(`   ${category}: ${[].concat(commands).map(entry => entry?.command ?? entry).join(', ')}`))
+    }
     console.log('')
   })
 }
@@ -306,6 +320,210 @@ async function removeDevice() {
   }
 }
 
+async function openVault() {
+  let secret = await CredentialVault.getSecretFromEnvironment()
+  const exists = await CredentialVault.exists(vaultFile)
+
+  if (secret === null) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'passphrase',
+        message: exists ? 'Vault passphrase:' : `Create passphrase for new vault ${vaultFile}:`,
+        mask: '*',
+        validate: (input) => input.length > 0 || 'Passphrase cannot be empty'
+      },
+      {
+        type: 'password',
+        name: 'confirm',
+        message: 'Repeat passphrase:',
+        mask: '*',
+        when: () => !exists
+      }
+    ])
+
+    if (!exists && answers.passphrase !== answers.confirm) {
+      throw new Error('Passphrases do not match')
+    }
+    secret = answers.passphrase
+  }
+
+  return CredentialVault.open(vaultFile, secret)
+}
+
+async function selectVaultEntry(vault, message) {
+  const entries = vault.list()
+  if (entries.length === 0) {
+    console.log(chalk.yellow('Vault is empty.'))
+    return null
+  }
+
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'entry',
+      message: message,
+      choices: entries.map(entry => ({
+        name: `${entry.scope}:${entry.value} (${entry.username || 'no username'})`,
+        value: entry
+      }))
+    }
+  ])
+  return answer.entry
+}
+
+async function listVaultEntries(vault) {
+  const entries = vault.list()
+  if (entries.length === 0) {
+    console.log(chalk.yellow('Vault is empty.'))
+    return
+  }
+
+  console.log(chalk.cyan('\n=== Vault Entries ==='))
+  entries.forEach((entry, index) => {
+    console.log(chalk.yellow(`${index + 1}. ${entry.scope}:${entry.value}`))
+    console.log(chalk.gray(`   Username: ${entry.username || '-'}, Password: ${entry.hasPassword ? 'set' : '-'}, Enable secret: ${entry.hasEnableSecret ? 'set' : '-'}`))
+    console.log(chalk.gray(`   Updated: ${entry.updatedAt}`))
+  })
+  console.log('')
+}
+
+async function addVaultEntry(vault) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'scope',
+      message: 'Credentials apply to:',
+      choices: [
+        { name: 'Single device (IP address)', value: 'ip' },
+        { name: 'Devices with a tag', value: 'tag' },
+        { name: 'All devices of a brand', value: 'brand' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'value',
+      message: (answers) => answers.scope === 'ip' ? 'Device IP address:' : answers.scope === 'tag' ? 'Tag:' : 'Brand:',
+      validate: (input) => input.trim().length > 0 || 'Value cannot be empty'
+    },
+    {
+      type: 'input',
+      name: 'username',
+      message: 'Username:',
+      default: 'admin'
+    },
+    {
+      type: 'password',
+      name: 'password',
+      message: 'Password:',
+      mask: '*'
+    },
+    {
+      type: 'password',
+      name: 'enableSecret',
+      message: 'Enable secret (leave empty if not used):',
+      mask: '*'
+    }
+  ])
+
+  vault.set(answers.scope, answers.value.trim(), {
+    username: answers.username,
+    password: answers.password,
+    enableSecret: answers.enableSecret || null
+  })
+  await vault.save()
+  console.log(chalk.green(`✓ Credentials for ${answers.scope}:${answers.value.trim()} saved`))
+}
+
+async function rotateVaultEntry(vault) {
+  const entry = await selectVaultEntry(vault, 'Select entry to rotate:')
+  if (!entry) return
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'password',
+      message: 'New password (leave empty to keep current):',
+      mask: '*'
+    },
+    {
+      type: 'password',
+      name: 'enableSecret',
+      message: 'New enable secret (leave empty to keep current):',
+      mask: '*'
+    }
+  ])
+
+  const changes = {}
+  if (answers.password) changes.password = answers.password
+  if (answers.enableSecret) changes.enableSecret = answers.enableSecret
+
+  if (Object.keys(changes).length === 0) {
+    console.log(chalk.yellow('Nothing changed.'))
+    return
+  }
+
+  vault.set(entry.scope, entry.value, changes)
+  await vault.save()
+  console.log(chalk.green(`✓ Credentials for ${entry.scope}:${entry.value} rotated`))
+}
+
+async function removeVaultEntry(vault) {
+  const entry = await selectVaultEntry(vault, 'Select entry to remove:')
+  if (!entry) return
+
+  const confirm = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: `Remove credentials for ${entry.scope}:${entry.value}?`,
+      default: false
+    }
+  ])
+
+  if (confirm.confirm) {
+    vault.remove(entry.scope, entry.value)
+    await vault.save()
+    console.log(chalk.green(`✓ Credentials for ${entry.scope}:${entry.value} removed!`))
+  } else {
+    console.log(chalk.yellow('Operation cancelled.'))
+  }
+}
+
+async function manageVault() {
+  console.log(chalk.cyan('=== Credential Vault ===\n'))
+  const vault = await openVault()
+
+  const action = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'Choose vault action:',
+      choices: [
+        { name: 'Show entries', value: 'list' },
+        { name: 'Add or update credentials', value: 'add' },
+        { name: 'Rotate password / enable secret', value: 'rotate' },
+        { name: 'Remove credentials', value: 'remove' }
+      ]
+    }
+  ])
+
+  switch (action.action) {
+    case 'list':
+      await listVaultEntries(vault)
+      break
+    case 'add':
+      await addVaultEntry(vault)
+      break
+    case 'rotate':
+      await rotateVaultEntry(vault)
+      break
+    case 'remove':
+      await removeVaultEntry(vault)
+      break
+  }
+}
+
 async function main() {
   console.log(chalk.cyan('=== Device Management ===\n'))
 
@@ -318,6 +536,7 @@ async function main() {
         { name: 'Add device', value: 'add' },
         { name: 'Show device list', value: 'list' },
         { name: 'Remove device', value: 'remove' },
+        { name: 'Manage credential vault', value: 'vault' },
         { name: 'Exit', value: 'exit' }
       ]
     }
@@ -333,6 +552,9 @@ async function main() {
     case 'remove':
       await removeDevice()
       break
+    case 'vault':
+      await manageVault()
+      break
     case 'exit':
       console.log(chalk.green('Exiting program.'))
       process.exit(0)
@@ -0,0 +1,795 @@
+#!/usr/bin/env node
+
+const net = require('net')
+const path = require('path')
+const { readFileSync } = require('fs')
+const chalk = require('chalk')
+
+// Telnet option negotiation (IAC DO/DONT/WILL/WONT x, IAC SB ... IAC SE)
+const TELNET_NEGOTIATION = /\xff[\xfb-\xfe][\s\S]|\xff\xfa[\s\S]*?\xff\xf0/g
+const MASK = '********'
+
+// Deterministic MAC addresses for canned MAC tables
+function macAddress(index, separator = ':', group = 2) {
+  const hex = (0x001122000000 + index * 0x010101).toString(16).padStart(12, '0')
+  const pattern = new RegExp(`.{${group}}`, 'g')
+  return hex.match(pattern).join(separator)
+}
+
+function range(count) {
+  return Array.from({ length: count }, (_, index) => index)
+}
+
+// Built-in vendor profiles. Text fields may use {hostname}; command outputs are strings or
+// functions of the profile (so MAC tables follow macCount) and use \n line endings, or
+// { raw: [pages], prompt } sent byte for byte, the next page on a key (or after `pause` ms).
+// pager: the prompt follows every `lines` lines and `erase` is sent on a key; `next` keys show
+// the next page, `line` one more line, `all` the rest, `quit` ends the output (so does any other
+// key with quitOnOtherKey), and anyKey pagers continue on any key except `quit`.
+const PROFILES = {
+  'cisco': {
+    hostname: 'Switch',
+    loginPrompt: 'Username: ',
+    passwordPrompt: 'Password: ',
+    loginFailed: '% Authentication failed',
+    prompt: '{hostname}>',
+    privilegedPrompt: '{hostname}#',
+    enable: { command: 'enable', passwordPrompt: 'Password: ' },
+    pager: {
+      prompt: ' --More-- ',
+      lines: 22,
+      erase: '\b\b\b\b\b\b\b\b\b\b          \b\b\b\b\b\b\b\b\b\b',
+      next: [' '],
+      line: ['\r', '\n'],
+      quit: ['q', 'Q', '\x03'],
+      quitOnOtherKey: true
+    },
+    pagingOff: ['terminal length 0'],
+    invalidCommand: "% Invalid input detected at '^' marker.",
+    logout: ['exit', 'logout', 'quit'],
+    macCount: 60,
+    commands: {
+      'show running-config': {
+        privileged: true,
+        output: profile => [
+          'Building configuration...',
+          '',
+          'Current configuration : 4821 bytes',
+          '!',
+          'version 15.0',
+          'service timestamps log datetime msec',
+          `hostname ${profile.hostname}`,
+          '!',
+          'vlan 10',
+          ' name USERS',
+          '!',
+          ...range(24).flatMap(port => [`interface FastEthernet0/${port + 1}`, ' switchport access vlan 10', ' switchport mode access', '!']),
+          'interface Vlan1',
+          ' ip address 192.168.1.10 255.255.255.0',
+          '!',
+          'line vty 0 4',
+          ' login local',
+          '!',
+          'end',
+          ''
+        ].join('\n')
+      },
+      'show mac address-table': profile => [
+        '          Mac Address Table',
+        '-------------------------------------------',
+        '',
+        'Vlan    Mac Address       Type        Ports',
+        '----    -----------       --------    -----',
+        ...range(profile.macCount).map(index => `  10    ${macAddress(index, '.', 4)}    DYNAMIC     Fa0/${index % 24 + 1}`),
+        `Total Mac Addresses for this criterion: ${profile.macCount}`,
+        ''
+      ].join('\n'),
+      'show version': profile => [
+        'Cisco IOS Software, C2960 Software (C2960-LANBASEK9-M), Version 15.0(2)SE4, RELEASE SOFTWARE (fc1)',
+        '',
+        `${profile.hostname} uptime is 2 weeks, 3 days, 4 hours, 12 minutes`,
+        'cisco WS-C2960-24TT-L (PowerPC405) processor (revision B0) with 65536K bytes of memory.',
+        ''
+      ].join('\n')
+    }
+  },
+
+  'huawei': {
+    hostname: 'Huawei',
+    loginPrompt: 'Username:',
+    passwordPrompt: 'Password:',
+    loginFailed: 'Error: Local authentication is rejected.',
+    banner: 'Info: The max number of VTY users is 5, and the number\n      of current VTY users on line is 1.\n',
+    prompt: '<{hostname}>',
+    pager: {
+      prompt: '  ---- More ----',
+      lines: 22,
+      erase: '\x1b[16D                \x1b[16D',
+      next: [' '],
+      line: ['\r', '\n'],
+      quit: ['q', '\x03', '\x1a'],
+      quitOnOtherKey: true
+    },
+    pagingOff: ['screen-length 0 temporary'],
+    pagingReply: 'Info: The configuration takes effect on the current user terminal interface only.\n',
+    invalidCommand: "Error: Unrecognized command found at '^' position.",
+    logout: ['quit'],
+    macCount: 60,
+    commands: {
+      'display current-configuration': profile => [
+        '#',
+        ` sysname ${profile.hostname}`,
+        '#',
+        ' vlan batch 10 20',
+        '#',
+        ...range(24).flatMap(port => [`interface GigabitEthernet0/0/${port + 1}`, ' port link-type access', ' port default vlan 10', '#']),
+        'user-interface vty 0 4',
+        ' authentication-mode aaa',
+        '#',
+        'return',
+        ''
+      ].join('\n'),
+      'display mac-address': profile => [
+        'MAC address table of slot 0:',
+        '-------------------------------------------------------------------------------',
+        'MAC Address    VLAN/       PEVLAN CEVLAN Port            Type      LSP/LSR-ID',
+        '               VSI/SI                                              MAC-Tunnel',
+        '-------------------------------------------------------------------------------',
+        ...range(profile.macCount).map(index => `${macAddress(index, '-', 4)} 10          -      -      GE0/0/${index % 24 + 1}         dynamic   0/-`),
+        '-------------------------------------------------------------------------------',
+        `Total matching items on slot 0 displayed = ${profile.macCount}`,
+        ''
+      ].join('\n'),
+      'display version': [
+        'Huawei Versatile Routing Platform Software',
+        'VRP (R) software, Version 5.170 (S5700 V200R011C10SPC500)',
+        'Copyright (C) 2000-2018 HUAWEI TECH CO., LTD',
+        'HUAWEI S5700-28C-EI Routing Switch uptime is 0 week, 3 days, 4 hours, 12 minutes',
+        ''
+      ].join('\n')
+    }
+  },
+
+  'd-link': {
+    hostname: 'DGS-3120-24SC',
+    greeting: '\n      DGS-3120-24SC Gigabit Ethernet Switch\n                Command Line Interface\n\n',
+    loginPrompt: 'UserName:',
+    passwordPrompt: 'PassWord:',
+    loginFailed: 'Fail!',
+    prompt: '{hostname}:admin#',
+    pager: {
+      prompt: 'CTRL+C ESC q Quit SPACE n Next Page ENTER Next Entry a All',
+      lines: 20,
+      erase: '\r                                                           \r',
+      next: [' ', 'n'],
+      line: ['\r', '\n'],
+      all: ['a'],
+      quit: ['q', '\x1b', '\x03']
+    },
+    pagingOff: ['disable clipaging'],
+    pagingOn: ['enable clipaging'],
+    commandHeader: 'Command: {command}\n\n',
+    commandFooter: '\n',
+    pagingReply: 'Success.\n',
+    invalidCommand: 'Available commands:\n..              ?               cable_diag      cfm\nclear           config          create          debug\ndelete          disable         download        enable\nlogin           logout          ping            show',
+    logout: ['logout'],
+    logoutMessage: '\n**********\n* Logout *\n**********\n',
+    macCount: 60,
+    commands: {
+      'show config current_config': profile => [
+        '#-------------------------------------------------------------------',
+        `#                       ${profile.hostname} Configuration`,
+        '#-------------------------------------------------------------------',
+        '',
+        '# BASIC',
+        '',
+        'config serial_port baud_rate 115200 auto_logout 10_minutes',
+        'enable telnet 23',
+        '',
+        '# VLAN',
+        '',
+        'disable asymmetric_vlan',
+        'config vlan default delete 1-24',
+        'create vlan users tag 10',
+        'config vlan users add untagged 1-24',
+        '',
+        ...range(24).map(port => `config ports 1:${port + 1} speed auto flow_control disable learning enable state enable`),
+        '',
+        '#-------------------------------------------------------------------',
+        '#             End of configuration file',
+        '#-------------------------------------------------------------------',
+        ''
+      ].join('\n'),
+      'show config effective': profile => [
+        '# SNMPV3',
+        '',
+        `config snmp system_name ${profile.hostname}`,
+        'config snmp system_location server_room',
+        'enable snmp',
+        '',
+        '# SYSLOG',
+        '',
+        'enable syslog',
+        'create syslog host 1 ipaddress 192.168.1.5 severity all facility local0 udp_port 514 state enable',
+        ''
+      ].join('\n'),
+      'show fdb': profile => [
+        'Unicast MAC Address Aging Time  = 300',
+        '',
+        'VID  VLAN Name                        MAC Address       Port  Type',
+        '---- -------------------------------- ----------------- ----- ---------',
+        ...range(profile.macCount).map(index => `10   users                            ${macAddress(index, '-').toUpperCase()} 1:${index % 24 + 1}`.padEnd(62) + 'Dynamic'),
+        '',
+        `Total Entries: ${profile.macCount}`,
+        ''
+      ].join('\n'),
+      'show switch': profile => [
+        `Device Type                : ${profile.hostname} Gigabit Ethernet Switch`,
+        'MAC Address                : 00-1E-58-A1-B2-C3',
+        'IP Address                 : 192.168.1.20 (Manual)',
+        'Firmware Version           : Build 4.04.006',
+        `System Name                : ${profile.hostname}`,
+        ''
+      ].join('\n')
+    }
+  },
+
+  // Devices with a "press any key" pager, e.g. older D-Link DES or ZyXEL models
+  'generic': {
+    hostname: 'switch',
+    loginPrompt: 'login: ',
+    passwordPrompt: 'Password: ',
+    loginFailed: 'Login incorrect',
+    prompt: '{hostname}#',
+    pager: {
+      prompt: 'Press any key to continue (Q to quit)',
+      lines: 20,
+      erase: '\r                                     \r',
+      anyKey: true,
+      quit: ['q', 'Q']
+    },
+    invalidCommand: '% Unknown command.',
+    logout: ['exit', 'logout'],
+    macCount: 60,
+    commands: {
+      'show running-config': profile => [`hostname ${profile.hostname}`, ...range(40).map(index => `interface port ${index + 1}\n  vlan 10`), ''].join('\n'),
+      'show mac address-table': profile => [
+        'VLAN  MAC Address        Port',
+        ...range(profile.macCount).map(index => `10    ${macAddress(index)}  ${index % 24 + 1}`),
+        ''
+      ].join('\n')
+    }
+  }
+}
+PROFILES['dlink'] = PROFILES['d-link']
+
+const PROFILE_DEFAULTS = {
+  hostname: 'device',
+  greeting: '',
+  loginPrompt: 'Username: ',
+  passwordPrompt: 'Password: ',
+  loginFailed: 'Login incorrect',
+  loginRetryDelay: 1000,
+  banner: '',
+  prompt: '{hostname}#',
+  privilegedPrompt: null,
+  enable: null,
+  pager: null,
+  pagingOff: [],
+  pagingOn: [],
+  pagingReply: '',
+  commandHeader: '',
+  commandFooter: '',
+  invalidCommand: '% Unknown command',
+  logout: ['exit', 'logout', 'quit'],
+  logoutMessage: '',
+  macCount: 60,
+  username: null,
+  password: null,
+  enablePassword: null,
+  commands: {}
+}
+
+// Combine a profile with the one it extends: top-level fields override, pager and commands merge
+function mergeProfile(base, overrides) {
+  return {
+    ...base,
+    ...overrides,
+    pager: overrides.pager === null ? null : (base.pager || overrides.pager ? { ...base.pager, ...overrides.pager } : null),
+    commands: { ...base.commands, ...overrides.commands }
+  }
+}
+
+// Resolve a built-in profile name or a JSON profile file ({ "extends": "cisco", ... }).
+// Command outputs in a file may be strings or { "file": "..." } relative to the profile file.
+function loadProfile(nameOrFile) {
+  const builtIn = PROFILES[String(nameOrFile).toLowerCase()]
+  if (builtIn) {
+    return mergeProfile(PROFILE_DEFAULTS, { name: String(nameOrFile).toLowerCase(), ...builtIn })
+  }
+
+  let profile
+  try {
+    profile = JSON.parse(readFileSync(nameOrFile, 'utf8'))
+  } catch (error) {
+    throw new Error(`Unknown mock profile "${nameOrFile}" (built-in: ${Object.keys(PROFILES).join(', ')}): ${error.message}`)
+  }
+  const commands = {}
+  for (const [command, entry] of Object.entries(profile.commands || {})) {
+    commands[command] = entry && entry.file
+      ? { ...entry, output: readFileSync(path.resolve(path.dirname(nameOrFile), entry.file), 'utf8').replace(/\r\n/g, '\n') }
+      : entry
+  }
+  const base = profile.extends ? loadProfile(profile.extends) : PROFILE_DEFAULTS
+  return mergeProfile(base, { name: path.basename(nameOrFile, '.json'), ...profile, commands })
+}
+
+function lastLine(text) {
+  return text.slice(text.lastIndexOf('\n') + 1).replace(/\r/g, '')
+}
+
+// Build a replay profile from a session transcript (logs/transcripts/*.log). Every command is
+// replayed exactly as recorded, page by page: the next recorded page is sent on any keypress.
+// Recorded passwords are masked, so any password is accepted.
+function profileFromTranscript(text, name = 'transcript') {
+  const events = []
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\S+ ([<>#]) (.*)$/)
+    if (!match) continue
+    if (match[1] === '#') {
+      if (match[2] === 'connection closed') events.push({ direction: 'close' })
+      continue
+    }
+    const data = JSON.parse(match[2]).replace(TELNET_NEGOTIATION, '')
+    if (!data) continue
+    const previous = events[events.length - 1]
+    if (previous && previous.direction === match[1]) {
+      previous.data += data
+    } else {
+      events.push({ direction: match[1], data })
+    }
+  }
+
+  const profile = mergeProfile(PROFILE_DEFAULTS, { name, loginPrompt: null, passwordPrompt: null, pager: null, pagingOff: [], logout: [] })
+  const entries = []
+  let phase = 'login'
+  let received = ''
+  let current = null
+
+  const finish = () => {
+    if (current) {
+      current.raw.push(received)
+      current.prompt = lastLine(received)
+      if (current.command) entries.push(current)
+    }
+    current = null
+    received = ''
+  }
+
+  for (const event of events) {
+    if (event.direction === '<') {
+      received += event.data
+      continue
+    }
+    if (event.direction === 'close') {
+      if (current) current.close = true
+      continue
+    }
+
+    const isLine = /[\r\n]$/.test(event.data)
+    const tail = lastLine(received)
+    if (phase === 'login' && /(user|login)[^\n]*:\s*$/i.test(tail)) {
+      profile.greeting = received.slice(0, received.length - tail.length)
+      profile.loginPrompt = tail
+      received = ''
+      continue
+    }
+    if (phase === 'login' && /password[^\n]*:\s*$/i.test(tail)) {
+      profile.passwordPrompt = tail
+      phase = 'password'
+      received = ''
+      continue
+    }
+    if (phase !== 'cli') {
+      // First command after login: what came before it is the banner and the prompt
+      profile.banner = received.slice(0, received.length - tail.length).replace(/^\r?\n/, '')
+      profile.prompt = tail
+      phase = 'cli'
+      received = ''
+    }
+
+    if (isLine) {
+      finish()
+      current = { command: event.data.replace(/[\r\n]+$/, '').trim(), raw: [] }
+    } else if (current) {
+      // Pager keystroke: what was received so far is one page
+      current.raw.push(received)
+      received = ''
+    }
+  }
+  finish()
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index]
+    // "enable" answered with a password prompt: the next (masked) line is the secret
+    if (/password[^\n]*:\s*$/i.test(entry.prompt) && entries[index + 1]?.command === MASK) {
+      profile.enable = { command: entry.command, passwordPrompt: entry.raw.join('').replace(/^[^\n]*\n/, '') }
+      profile.privilegedPrompt = entries[index + 1].prompt
+      index++
+      continue
+    }
+    if (entry.close) {
+      profile.logout.push(entry.command)
+      profile.logoutMessage = entry.raw.join('').replace(/^[^\n]*\n/, '')
+      continue
+    }
+    profile.commands[entry.command] = { raw: entry.raw, prompt: entry.prompt }
+  }
+  return profile
+}
+
+// One Telnet client session: login dialogue, prompt, enable, paging and canned outputs
+class MockSession {
+  constructor(socket, profile, history = []) {
+    this.socket = socket
+    this.profile = profile
+    this.history = history
+    this.state = 'username'
+    this.line = ''
+    this.lastChar = ''
+    this.username = null
+    this.failures = 0
+    this.privileged = !profile.enable
+    this.paging = Boolean(profile.pager)
+    this.pending = []
+    this.currentPrompt = null
+    this.pages = null
+
+    socket.on('data', data => this.receive(data.toString('latin1')))
+    socket.on('error', () => { })
+  }
+
+  fill(text) {
+    return String(text || '').replace(/\{hostname\}/g, this.profile.hostname)
+  }
+
+  send(text) {
+    if (!this.socket.destroyed) {
+      this.socket.write(text.replace(/\r?\n/g, '\r\n'), 'latin1')
+    }
+  }
+
+  // Raw recorded text goes out byte for byte
+  sendRaw(text) {
+    if (!this.socket.destroyed) {
+      this.socket.write(text, 'latin1')
+    }
+  }
+
+  prompt() {
+    return this.currentPrompt || this.fill(this.privileged && this.profile.privilegedPrompt ? this.profile.privilegedPrompt : this.profile.prompt)
+  }
+
+  showPrompt() {
+    this.state = 'cli'
+    this.send(this.prompt())
+  }
+
+  start() {
+    this.send(this.fill(this.profile.greeting))
+    if (this.profile.loginPrompt) {
+      this.send(this.fill(this.profile.loginPrompt))
+    } else if (this.profile.passwordPrompt) {
+      this.state = 'password'
+      this.send(this.fill(this.profile.passwordPrompt))
+    } else {
+      this.showPrompt()
+    }
+  }
+
+  receive(text) {
+    for (const char of text.replace(TELNET_NEGOTIATION, '')) {
+      const afterCr = this.lastChar === '\r'
+      this.lastChar = char
+      if (this.state === 'pager') {
+        if (!(afterCr && (char === '\n' || char === '\0'))) this.pagerKey(char)
+        continue
+      }
+      if (char === '\r' || char === '\n') {
+        if (char === '\n' && afterCr) continue
+        const line = this.line
+        this.line = ''
+        this.submit(line)
+      } else if (char === '\b' || char === '\x7f') {
+        this.line = this.line.slice(0, -1)
+      } else if (char !== '\0') {
+        this.line += char
+      }
+    }
+  }
+
+  submit(line) {
+    const profile = this.profile
+    if (this.state === 'username') {
+      this.username = line
+      this.send(`${line}\n${this.fill(profile.passwordPrompt)}`)
+      this.state = 'password'
+    } else if (this.state === 'password') {
+      this.send('\n')
+      const accepted = (profile.username === null || profile.username === this.username) &&
+        (profile.password === null || profile.password === line)
+      if (!accepted) {
+        this.failures++
+        this.send(`${this.fill(profile.loginFailed)}\n`)
+        if (this.failures >= 3) {
+          this.socket.end()
+          return
+        }
+        // Devices pause before prompting again, so the failure message arrives on its own
+        this.state = 'wait'
+        setTimeout(() => {
+          this.state = profile.loginPrompt ? 'username' : 'password'
+          this.send(this.fill(profile.loginPrompt || profile.passwordPrompt))
+        }, profile.loginRetryDelay)
+        return
+      }
+      this.send(this.fill(profile.banner))
+      this.showPrompt()
+    } else if (this.state === 'secret') {
+      this.send('\n')
+      if (profile.enablePassword === null || profile.enablePassword === line) {
+        this.privileged = true
+      } else {
+        this.send('% Access denied\n\n')
+      }
+      this.showPrompt()
+    } else if (this.state === 'cli') {
+      const command = line.trim().replace(/\s+/g, ' ')
+      if (command) {
+        this.history.push(command)
+      }
+      this.run(command)
+    }
+  }
+
+  run(command) {
+    const profile = this.profile
+    let entry = profile.commands[command]
+    if (typeof entry === 'function' || typeof entry === 'string') {
+      entry = { output: entry }
+    }
+
+    // Recorded replies carry their own echo
+    if (!entry?.raw) {
+      this.send(`${command}\n`)
+    }
+
+    if (command === '') {
+      this.send(this.prompt())
+      return
+    }
+
+    if (profile.logout.includes(command)) {
+      this.send(this.fill(profile.commandHeader).replace(/\{command\}/g, command) + this.fill(profile.logoutMessage))
+      this.socket.end()
+      return
+    }
+
+    if (profile.enable && command === profile.enable.command && !this.privileged) {
+      if (profile.enable.passwordPrompt) {
+        this.state = 'secret'
+        this.send(this.fill(profile.enable.passwordPrompt))
+      } else {
+        this.privileged = true
+        this.showPrompt()
+      }
+      return
+    }
+    if (profile.enable && command === 'disable') {
+      this.privileged = false
+      this.showPrompt()
+      return
+    }
+
+    if (profile.pagingOff.includes(command) || profile.pagingOn.includes(command)) {
+      this.paging = profile.pagingOn.includes(command) && Boolean(profile.pager)
+      this.send(this.fill(profile.commandHeader).replace(/\{command\}/g, command) + this.fill(profile.pagingReply) + this.fill(profile.commandFooter))
+      this.showPrompt()
+      return
+    }
+
+    if (!entry || (entry.privileged && !this.privileged)) {
+      this.send(`${this.fill(profile.invalidCommand)}\n\n`)
+      this.showPrompt()
+      return
+    }
+
+    if (entry.raw) {
+      this.pages = entry.raw.slice()
+      this.currentPrompt = entry.prompt
+      this.rawPause = entry.pause
+      this.nextRawPage()
+      return
+    }
+
+    const output = typeof entry.output === 'function' ? entry.output(profile) : String(entry.output || '')
+    const text = this.fill(profile.commandHeader).replace(/\{command\}/g, command) + output + this.fill(profile.commandFooter)
+    this.pending = text.split('\n')
+    const last = this.pending.pop()
+    this.state = 'output'
+    this.page(last)
+  }
+
+  // Send the next screen of a canned output, or all of it when paging is off
+  page(last = '') {
+    const pager = this.profile.pager
+    if (!this.paging || !pager || this.pending.length <= pager.lines) {
+      this.send(this.pending.map(line => `${line}\n`).join('') + last)
+      this.pending = []
+      this.showPrompt()
+      return
+    }
+    this.send(this.pending.splice(0, pager.lines).map(line => `${line}\n`).join(''))
+    this.pendingLast = last
+    this.state = 'pager'
+    this.send(pager.prompt)
+  }
+
+  nextRawPage() {
+    this.sendRaw(this.pages.shift())
+    if (this.pages.length === 0) {
+      this.pages = null
+      this.state = 'cli'
+    } else if (this.rawPause) {
+      // Chunks of one reply arriving apart: the next one follows without a key
+      this.state = 'wait'
+      setTimeout(() => this.pages && this.nextRawPage(), this.rawPause)
+    } else {
+      this.state = 'pager'
+    }
+  }
+
+  pagerKey(key) {
+    if (this.pages) {
+      if (key === '\x03' || key === '\x1b' || key === 'q' || key === 'Q') {
+        this.pages = null
+        this.send(`\n${this.prompt()}`)
+        this.state = 'cli'
+      } else {
+        this.nextRawPage()
+      }
+      return
+    }
+
+    const pager = this.profile.pager
+    const last = this.pendingLast
+    const known = [...(pager.next || []), ...(pager.line || []), ...(pager.all || [])]
+    if ((pager.quit || []).includes(key) || (pager.quitOnOtherKey && !known.includes(key))) {
+      this.pending = []
+      this.send(`${pager.erase}\n`)
+      this.showPrompt()
+    } else if ((pager.all || []).includes(key)) {
+      this.send(pager.erase)
+      this.paging = false
+      this.page(last)
+      this.paging = true
+    } else if ((pager.line || []).includes(key)) {
+      this.send(`${pager.erase}${this.pending.shift()}\n`)
+      if (this.pending.length === 0) {
+        this.send(last)
+        this.showPrompt()
+      } else {
+        this.send(pager.prompt)
+      }
+    } else if (pager.anyKey || (pager.next || []).includes(key)) {
+      this.send(pager.erase)
+      this.page(last)
+    }
+  }
+}
+
+// Local Telnet server emulating one device. options: username/password/enablePassword
+// (null accepts anything), hostname, macCount and any other profile field override the profile.
+// history lists the CLI commands received by all sessions, in order.
+class MockDevice {
+  constructor(profile = 'cisco', options = {}) {
+    const base = typeof profile === 'string' ? loadProfile(profile) : mergeProfile(PROFILE_DEFAULTS, profile)
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    this.profile = mergeProfile(base, overrides)
+    this.server = null
+    this.sockets = new Set()
+    this.history = []
+  }
+
+  start(port = 0, host = '127.0.0.1') {
+    this.server = net.createServer(socket => {
+      this.sockets.add(socket)
+      socket.on('close', () => this.sockets.delete(socket))
+      new MockSession(socket, this.profile, this.history).start()
+    })
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, host, () => resolve(this.server.address()))
+    })
+  }
+
+  stop() {
+    for (const socket of this.sockets) {
+      socket.destroy()
+    }
+    return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve())
+  }
+}
+
+function parseArgs(argv) {
+  const args = { profiles: [], port: 2323, host: '127.0.0.1' }
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inline] = argv[index].split(/=(.*)/s)
+    const value = () => inline !== undefined ? inline : argv[++index]
+    switch (flag) {
+      case '--profile': args.profiles.push(...value().split(',')); break
+      case '--transcript': args.profiles.push({ transcript: value() }); break
+      case '--port': args.port = parseInt(value()); break
+      case '--host': args.host = value(); break
+      case '--username': args.username = value(); break
+      case '--password': args.password = value(); break
+      case '--enable-password': args.enablePassword = value(); break
+      case '--mac-count': args.macCount = parseInt(value()); break
+      default: throw new Error(`Unknown option ${flag}`)
+    }
+  }
+  if (args.profiles.length === 0) {
+    args.profiles.push(...Object.keys(PROFILES).filter(name => name !== 'dlink'))
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const devices = []
+  const entries = []
+
+  for (const [index, source] of args.profiles.entries()) {
+    const profile = source.transcript
+      ? profileFromTranscript(readFileSync(source.transcript, 'latin1'), path.basename(source.transcript, '.log'))
+      : source
+    const device = new MockDevice(profile, { username: args.username, password: args.password, enablePassword: args.enablePassword, macCount: args.macCount })
+    const { port } = await device.start(args.port + index, args.host)
+    devices.push(device)
+
+    const name = device.profile.name
+    console.log(chalk.green(`✓ ${name} listening on ${args.host}:${port}`))
+    const brand = name === 'd-link' ? 'D-Link' : name.charAt(0).toUpperCase() + name.slice(1)
+    const commands = Object.keys(device.profile.commands)
+    entries.push({
+      ip: args.host,
+      port,
+      brand,
+      username: args.username || 'admin',
+      password: args.password || 'admin',
+      ...(device.profile.enable ? { requiresEnable: true, enableCommand: device.profile.enable.command } : {}),
+      commands: {
+        config: commands.filter(command => /config|run/i.test(command)),
+        mac: commands.filter(command => /mac|fdb/i.test(command))
+      }
+    })
+  }
+
+  console.log(chalk.cyan('\nExample devices.json entries:'))
+  console.log(JSON.stringify(entries, null, 2))
+  console.log(chalk.gray('\nPress Ctrl+C to stop'))
+
+  process.on('SIGINT', async () => {
+    await Promise.all(devices.map(device => device.stop()))
+    process.exit(0)
+  })
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`✗ ${error.message}`))
+    process.exit(1)
+  })
+}
+
+module.exports = { MockDevice, PROFILES, loadProfile, profileFromTranscript }
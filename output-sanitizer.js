@@ -0,0 +1,71 @@
+// Terminal residue left in command output by pagers and line editing, removed from every saved file
+const PAGER_RESIDUE = [
+  /[ \t]*-{2,}[ \t]*More[ \t]*(\([^)]*\)[ \t]*)?-{2,}[ \t]*/gi,          // Cisco/BDCOM --More--, Huawei ---- More ----
+  /^.*CTRL\+C ESC q Quit SPACE n Next Page.*(\n|$)/gm,                    // D-Link footer
+  /^.*Press any key to continue \(Q to quit\).*(\n|$)/gm,
+  /[ \t]*\[Press 'A' for All or ENTER to continue\][ \t]*/gi,
+  /[ \t]*Press (any key|SPACE|Enter) to continue[ \t]*/gi,
+  /[ \t]*Type <CR> to continue[ \t]*/gi
+]
+
+// CSI/OSC escape sequences (colours, cursor moves, line erase) and single-character escapes
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(\x07|\x1b\\)|\x1b[@-Z\\-_]/g
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '')
+}
+
+// Apply backspaces the way the terminal would: each one erases the character before it
+function applyBackspaces(line) {
+  if (!line.includes('\b')) {
+    return line
+  }
+  const chars = []
+  for (const char of line) {
+    if (char === '\b') {
+      chars.pop()
+    } else {
+      chars.push(char)
+    }
+  }
+  return chars.join('')
+}
+
+// A bare carriage return moves back to the line start, so later text overwrites earlier text
+// ("--More--\r        \rnext line" becomes "next line")
+function applyCarriageReturns(line) {
+  if (!line.includes('\r')) {
+    return line
+  }
+  return line.split('\r').reduce((screen, segment) => segment + screen.slice(segment.length), '')
+}
+
+// Normalise raw terminal output for saving:
+// ANSI codes, backspace/CR overwrites, control characters, pager prompts and footers,
+// \r\r\n line endings, trailing spaces and surrounding blank lines.
+// rules: extra { pattern: RegExp, replace } steps applied after the built-in ones.
+// trimEdges: false keeps surrounding blank lines, for output sanitised block by block.
+function sanitizeOutput(text, { pagerPatterns = [], rules = [], trimEdges = true } = {}) {
+  let result = stripAnsi(String(text || ''))
+    .replace(/\r+\n/g, '\n')
+    .split('\n')
+    .map(line => applyCarriageReturns(applyBackspaces(line)))
+    .join('\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '')
+
+  for (const pattern of [...PAGER_RESIDUE, ...pagerPatterns]) {
+    result = result.replace(pattern, '')
+  }
+
+  for (const rule of rules) {
+    result = result.replace(rule.pattern, rule.replace || '')
+  }
+
+  result = result
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+  return trimEdges ? result.replace(/^\n+|\n+$/g, '') : result
+}
+
+module.exports = { sanitizeOutput, stripAnsi }
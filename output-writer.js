@@ -0,0 +1,175 @@
+const fs = require('fs').promises
+const { openSync, writeSync, closeSync, createReadStream } = require('fs')
+const { sanitizeOutput } = require('./output-sanitizer')
+
+// Raw output is sanitised in blocks of complete lines once this much is pending
+const BLOCK_SIZE = 64 * 1024
+// The last lines stay in memory until the command completes, so the trailing prompt can be stripped
+const TAIL_SIZE = 8 * 1024
+// Sanitised output kept for the CLI error check
+const HEAD_SIZE = 16 * 1024
+
+// Incremental sink for one command's output. Text is sanitised as it arrives and either kept in
+// memory (no file) or streamed to "<file>.tmp", which commit() renames over the file, so memory
+// use stays bounded however large the table is and a failed command never replaces the last good file.
+// Blocks are written synchronously: the shell streams cannot be paused (they keep buffering what the
+// socket delivers), so queued async writes would pile up whenever the device is faster than the disk.
+class OutputWriter {
+  constructor({ file = null, echo = null, sanitizer = {}, finalize = text => text } = {}) {
+    this.file = file
+    this.tempFile = file ? `${file}.tmp` : null
+    this.echo = echo
+    this.sanitizer = sanitizer
+    this.finalize = finalize
+    this.pending = ''
+    this.echoSearch = Boolean(echo)
+    this.started = false
+    this.newlines = ''
+    this.head = ''
+    this.length = 0
+    this.chunks = []
+    this.fd = null
+    this.closed = false
+  }
+
+  async open() {
+    if (this.tempFile) {
+      this.fd = openSync(this.tempFile, 'w')
+    }
+    return this
+  }
+
+  // Raw (decoded) device output
+  write(text) {
+    if (this.closed || !text) {
+      return
+    }
+    this.pending += text
+
+    // Drop everything up to the command echo; give up once it cannot be in the output any more
+    if (this.echoSearch) {
+      const index = this.pending.indexOf(this.echo)
+      if (index !== -1) {
+        this.pending = this.pending.slice(index + this.echo.length)
+        this.echoSearch = false
+      } else if (this.pending.length > BLOCK_SIZE) {
+        this.echoSearch = false
+      } else {
+        return
+      }
+    }
+
+    if (this.pending.length < BLOCK_SIZE + TAIL_SIZE) {
+      return
+    }
+    // Sanitise complete lines, keeping the tail for finalize()
+    const cut = this.pending.lastIndexOf('\n', this.pending.length - TAIL_SIZE)
+    if (cut === -1) {
+      return
+    }
+    const block = this.pending.slice(0, cut + 1)
+    this.pending = this.pending.slice(cut + 1)
+    this.emit(sanitizeOutput(block, { ...this.sanitizer, trimEdges: false }))
+  }
+
+  // Append sanitised text, dropping leading blank lines and holding back trailing ones
+  emit(text) {
+    if (!this.started) {
+      text = text.replace(/^\n+/, '')
+    }
+    const trailing = text.match(/\n*$/)[0]
+    const body = text.slice(0, text.length - trailing.length)
+    if (body) {
+      this.append(this.newlines + body)
+      this.started = true
+      this.newlines = trailing
+    } else if (this.started) {
+      this.newlines += trailing
+    }
+  }
+
+  append(text) {
+    this.length += text.length
+    if (this.head.length < HEAD_SIZE) {
+      this.head += text.slice(0, HEAD_SIZE - this.head.length)
+    }
+    if (this.fd !== null) {
+      writeSync(this.fd, text, null, 'utf8')
+    } else {
+      this.chunks.push(text)
+    }
+  }
+
+  // Flush the tail (after finalize, e.g. prompt stripping) and close the temp file
+  async close() {
+    if (this.closed) {
+      return this
+    }
+    this.closed = true
+    this.emit(sanitizeOutput(this.finalize(this.pending), { ...this.sanitizer, trimEdges: false }))
+    this.pending = ''
+    this.closeFile()
+    return this
+  }
+
+  closeFile() {
+    if (this.fd !== null) {
+      const fd = this.fd
+      this.fd = null
+      closeSync(fd)
+    }
+  }
+
+  // In-memory output
+  toString() {
+    return this.chunks.join('')
+  }
+
+  // Replace the target file with the completed output
+  async commit() {
+    await this.close()
+    if (this.tempFile) {
+      await fs.rename(this.tempFile, this.file)
+    }
+  }
+
+  // Throw the output away, leaving any existing target file untouched
+  async discard() {
+    this.closed = true
+    this.pending = ''
+    this.chunks = []
+    try {
+      this.closeFile()
+    } catch { }
+    if (this.tempFile) {
+      await fs.unlink(this.tempFile).catch(() => { })
+    }
+  }
+
+  // Join completed outputs ({ title, file }) into one file, each under a "===== title =====" line.
+  // The file is replaced like commit() does and the section files are removed.
+  static async joinSections(file, sections) {
+    const tempFile = `${file}.tmp`
+    try {
+      const fd = openSync(tempFile, 'w')
+      try {
+        for (const [index, section] of sections.entries()) {
+          writeSync(fd, `${index > 0 ? '\n\n' : ''}===== ${section.title} =====\n`, null, 'utf8')
+          for await (const chunk of createReadStream(section.file)) {
+            writeSync(fd, chunk)
+          }
+        }
+      } finally {
+        closeSync(fd)
+      }
+      await fs.rename(tempFile, file)
+    } catch (error) {
+      await fs.unlink(tempFile).catch(() => { })
+      throw error
+    } finally {
+      await Promise.all(sections.map(section => fs.unlink(section.file).catch(() => { })))
+    }
+  }
+}
+
+module.exports = { OutputWriter }
@@ -7,6 +7,11 @@ const chalk = require('chalk')
 const TopologyCollector = require('./index.js')
 
 async function runForAllJsonFiles() {
+  // --password-stdin: password is read once from stdin and reused for every file
+  const passwordFromStdin = process.argv.slice(2).includes('--password-stdin')
+  // --collect=version,lldp: collect only the listed command categories from every file
+  const collectArg = process.argv.slice(2).find(arg => arg.startsWith('--collect='))
+  const collectCategories = collectArg ? collectArg.replace('--collect=', '').split(',').map(category => category.trim()).filter(Boolean) : null
   const dataDir = process.env.DATA_DIR || './data'
   let files
   try {
@@ -16,8 +21,8 @@ async function runForAllJsonFiles() {
     process.exit(1)
   }
 
-  // Filter all .json except brandSettings.json and sort alphabetically
-  const jsonFiles = files.filter(f => f.endsWith('.json') && f !== 'brandSettings.json').sort((a, b) => a.localeCompare(b))
+  // Filter all .json except brandSettings.json/credentialState.json and sort alphabetically
+  const jsonFiles = files.filter(f => f.endsWith('.json') && f !== 'brandSettings.json' && f !== 'credentialState.json').sort((a, b) => a.localeCompare(b))
   if (jsonFiles.length === 0) {
     console.log(chalk.yellow('No device JSON files found in data directory.'))
     return
@@ -29,8 +34,9 @@ async function runForAllJsonFiles() {
     
     try {
       // Read and parse the device file to show preview info
-      const deviceData = JSON.parse(await fs.readFile(absPath, 'utf8'))
-      if (Array.isArray(deviceData) && deviceData.length > 0) {
+      const parsedData = JSON.parse(await fs.readFile(absPath, 'utf8'))
+      const deviceData = Array.isArray(parsedData) ? parsedData : (parsedData.devices || [])
+      if (deviceData.length > 0) {
         const firstDevice = deviceData[0]
         console.log(chalk.cyan(`File contains ${deviceData.length} device(s)`))
         console.log(chalk.cyan(`First device: ${firstDevice.ip} - ${firstDevice.description || firstDevice.name || 'No description'}`))
@@ -49,6 +55,10 @@ async function runForAllJsonFiles() {
       // Set devices file for this run
       const collector = new TopologyCollector()
       collector.devicesFile = absPath
+      if (passwordFromStdin) {
+        collector.passwordFd = 0
+      }
+      collector.collectCategories = collectCategories
       await collector.init()
       await collector.collectAll()
       console.log(chalk.green(`\n✓ Collection completed for ${file}`))
@@ -0,0 +1,92 @@
+const fs = require('fs')
+const path = require('path')
+
+const MASK = '********'
+
+// Raw record of one device session for troubleshooting: every chunk received (<) and sent (>)
+// with a timestamp, written as JSON-escaped latin1 so control characters, telnet negotiation
+// and pager keystrokes stay visible byte for byte. Known secrets are masked in both directions.
+class SessionTranscript {
+  constructor(file, secrets = []) {
+    this.file = file
+    // Shell streams send strings as UTF-8 bytes, which show up here decoded as latin1,
+    // so a non-ASCII secret is masked in that form as well
+    this.secrets = [...new Set(secrets.filter(secret => secret && secret.length > 0)
+      .flatMap(secret => [secret, Buffer.from(secret, 'utf8').toString('latin1')]))]
+      .sort((a, b) => b.length - a.length)
+    this.out = null
+    this.attached = new Set()
+  }
+
+  static fileName(name, date = new Date()) {
+    return `${name}_${date.toISOString().replace(/[:.]/g, '-')}.log`
+  }
+
+  async open(header) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+    this.out = fs.createWriteStream(this.file, { flags: 'a', encoding: 'utf8', mode: 0o600 })
+    this.out.on('error', () => { })
+    if (header) {
+      this.note(header)
+    }
+    return this
+  }
+
+  mask(text) {
+    let result = text
+    for (const secret of this.secrets) {
+      result = result.split(secret).join(MASK)
+    }
+    return result
+  }
+
+  line(direction, text) {
+    if (!this.out) {
+      return
+    }
+    this.out.write(`${new Date().toISOString()} ${direction} ${text}\n`)
+  }
+
+  received(data) {
+    this.line('<', JSON.stringify(this.mask(Buffer.isBuffer(data) ? data.toString('latin1') : String(data))))
+  }
+
+  sent(data) {
+    this.line('>', JSON.stringify(this.mask(Buffer.isBuffer(data) ? data.toString('latin1') : String(data))))
+  }
+
+  // Free-text event (connect, credential set, close)
+  note(text) {
+    this.line('#', this.mask(text))
+  }
+
+  // Record everything passing through a socket or SSH channel: received data via its 'data'
+  // event (ahead of the client's own listener, which may answer synchronously), sent data by
+  // wrapping write()
+  attach(target) {
+    if (!target || this.attached.has(target)) {
+      return
+    }
+    this.attached.add(target)
+    target.prependListener('data', data => this.received(data))
+
+    const write = target.write
+    const transcript = this
+    target.write = function (data, ...args) {
+      transcript.sent(data)
+      return write.call(this, data, ...args)
+    }
+    target.once('close', () => this.note('connection closed'))
+  }
+
+  close() {
+    if (this.out) {
+      const out = this.out
+      this.out = null
+      return new Promise(resolve => out.end(resolve))
+    }
+    return Promise.resolve()
+  }
+}
+
+module.exports = { SessionTranscript }
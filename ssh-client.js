@@ -0,0 +1,231 @@
+const { Client } = require('ssh2')
+const { Duplex } = require('stream')
+const { EventEmitter } = require('events')
+
+// Algorithms still used by older switch/OLT firmware, appended to the ssh2 defaults
+const legacyAlgorithms = {
+  kex: { append: ['diffie-hellman-group14-sha1', 'diffie-hellman-group1-sha1', 'diffie-hellman-group-exchange-sha1'] },
+  cipher: { append: ['aes128-cbc', 'aes192-cbc', 'aes256-cbc', '3des-cbc'] },
+  serverHostKey: { append: ['ssh-rsa', 'ssh-dss'] },
+  hmac: { append: ['hmac-sha1', 'hmac-md5'] }
+}
+
+// Stream handed out by shell(): mirrors the telnet-client Stream, so destroying it
+// only detaches from the channel and leaves the SSH session open for the next command
+class ChannelStream extends Duplex {
+  constructor(channel) {
+    super()
+    this.channel = channel
+    this.onData = data => this.push(data)
+    this.channel.on('data', this.onData)
+  }
+
+  _write(data, encoding, callback) {
+    if (!this.channel.writable) {
+      callback(new Error('channel not writable'))
+      return
+    }
+    this.channel.write(data, encoding, callback)
+  }
+
+  _read() { }
+
+  _destroy(error, callback) {
+    this.channel.removeListener('data', this.onData)
+    callback(error)
+  }
+}
+
+// SSH transport exposing the subset of the telnet-client API used by the collector:
+// connect(params), exec(command), shell(callback), end() and destroy()
+class SshClient extends EventEmitter {
+  constructor() {
+    super()
+    this.client = new Client()
+    this.channel = null
+    this.opts = {}
+  }
+
+  connect(params) {
+    this.opts = {
+      ors: '\n',
+      execTimeout: 10000,
+      timeout: 30000,
+      // Largest reply held in memory, as in telnet-client
+      maxBufferLength: 1048576,
+      ...params
+    }
+
+    return new Promise((resolve, reject) => {
+      let settled = false
+      const fail = (error) => {
+        if (settled) return
+        settled = true
+        this.client.end()
+        reject(error)
+      }
+
+      this.client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        // Cisco/Huawei often ask for the password through keyboard-interactive
+        finish(prompts.map(() => this.opts.password || ''))
+      })
+
+      this.client.on('error', (error) => {
+        if (!settled) {
+          fail(error)
+        } else {
+          this.emit('error', error)
+        }
+      })
+
+      this.client.on('close', () => this.emit('close'))
+
+      this.client.on('ready', () => {
+        this.client.shell({ term: 'vt100', cols: 200, rows: 24 }, (error, channel) => {
+          if (error) {
+            fail(error)
+            return
+          }
+
+          this.channel = channel
+          channel.on('close', () => this.emit('end'))
+          if (this.opts.transcript) {
+            this.opts.transcript.attach(channel)
+          }
+
+          // Raw session (scripted login): hand the channel over without waiting for a prompt
+          if (!this.opts.shellPrompt) {
+            settled = true
+            this.emit('ready', '')
+            resolve('')
+            return
+          }
+
+          // Wait for the first shell prompt, like telnet-client does after login
+          this.readUntilPrompt(this.opts.timeout)
+            .then((banner) => {
+              settled = true
+              this.emit('ready', banner)
+              resolve(banner)
+            })
+            .catch(fail)
+        })
+      })
+
+      this.client.connect({
+        host: this.opts.host,
+        port: this.opts.port || 22,
+        localAddress: this.opts.localAddress || undefined,
+        username: this.opts.username,
+        password: this.opts.password,
+        tryKeyboard: true,
+        readyTimeout: this.opts.timeout,
+        algorithms: legacyAlgorithms
+      })
+    })
+  }
+
+  // Collect channel output until the last line matches the shell prompt or a pager prompt (pagePrompt).
+  // Like telnet-client, a reply reaching maxBufferLength is returned as it is after 'bufferexceeded'.
+  readUntilPrompt(timeoutMs) {
+    return new Promise((resolve, reject) => {
+      let buffer = ''
+      let timer = null
+
+      const finish = (error) => {
+        clearTimeout(timer)
+        this.channel.removeListener('data', onData)
+        if (error) {
+          reject(error)
+        } else {
+          resolve(buffer)
+        }
+      }
+
+      const onData = (data) => {
+        buffer += data.toString(this.opts.encoding || 'utf8')
+        if (buffer.length >= this.opts.maxBufferLength) {
+          this.emit('bufferexceeded')
+          finish()
+          return
+        }
+        // Only the end of the buffer is searched, so a long reply is not split again on every chunk
+        const tail = buffer.slice(-1024)
+        const lineStart = tail.lastIndexOf('\n') + 1
+        if (lineStart === 0 && tail.length < buffer.length) {
+          // The last line is longer than the tail, so it is output rather than a prompt
+          return
+        }
+        const lastLine = tail.slice(lineStart)
+        if (this.opts.shellPrompt.test(lastLine)) {
+          finish()
+        } else if (this.opts.pagePrompt && this.opts.pagePrompt.test(lastLine)) {
+          // Hand pagination prompts back to the caller, which decides what to send
+          finish()
+        }
+      }
+
+      // Like telnet-client: output without a prompt is incomplete, never a result
+      timer = setTimeout(() => finish(new Error('response not received')), timeoutMs)
+
+      this.channel.on('data', onData)
+    })
+  }
+
+  // opts.ors / opts.echoLines override the session defaults for this call only
+  async exec(command, opts = {}) {
+    if (!this.channel || !this.channel.writable) {
+      throw new Error('socket not writable')
+    }
+
+    const pending = this.readUntilPrompt(this.opts.execTimeout)
+    this.channel.write(command + (opts.ors ?? this.opts.ors))
+    const output = await pending
+
+    // Strip the echoed command line and the trailing prompt (telnet-client echoLines=1 behaviour)
+    const lines = output.split(/\r?\n/)
+    if (lines.length > 1 && (opts.echoLines ?? 1) > 0) {
+      lines.shift()
+    }
+    if (this.opts.stripShellPrompt !== false) {
+      lines[lines.length - 1] = lines[lines.length - 1].replace(this.opts.shellPrompt, '')
+    }
+    return lines.join('\n')
+  }
+
+  shell(callback) {
+    const promise = new Promise((resolve, reject) => {
+      if (!this.channel) {
+        reject(new Error('SSH shell channel is not open'))
+        return
+      }
+      resolve(new ChannelStream(this.channel))
+    })
+
+    if (typeof callback === 'function') {
+      promise.then(stream => callback(null, stream)).catch(err => callback(err))
+    }
+    return promise
+  }
+
+  end() {
+    return new Promise(resolve => {
+      if (this.channel) {
+        this.channel.end()
+      }
+      this.client.once('close', () => resolve())
+      this.client.end()
+      // Do not wait forever for devices that never acknowledge the close
+      setTimeout(resolve, 250)
+    })
+  }
+
+  destroy() {
+    return new Promise(resolve => {
+      this.client.destroy()
+      resolve()
+    })
+  }
+}
+
+module.exports = { SshClient }
@@ -0,0 +1,681 @@
+const fs = require('fs')
+const path = require('path')
+const { describe, it, after } = require('node:test')
+const assert = require('node:assert')
+const { collect, startDevice, cleanup } = require('./helpers')
+
+const IP = '127.0.0.1'
+const TIMEOUT = 60000
+
+after(cleanup)
+
+function macLines(text) {
+  return text.split('\n').filter(line => /([0-9a-f]{2}[-:]){5}[0-9a-f]{2}|([0-9a-f]{4}[.-]){2}[0-9a-f]{4}/i.test(line))
+}
+
+describe('exec connection method', () => {
+  it('pages through Huawei output and saves it without pager residue', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei', { password: 'secret' })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['display current-configuration'], mac: ['display mac-address'] }
+      }], {
+        // Leave paging on so every page has to be answered
+        Huawei: { connectionMethod: 'exec', paginationInput: ' ', sessionPreamble: [] }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'success')
+      const config = run.config(IP, port)
+      assert.match(config, /^#\n sysname Huawei\n/)
+      assert.match(config, /\nreturn$/)
+      assert.strictEqual(config.split('\n').filter(line => line.startsWith('interface ')).length, 24)
+
+      const macTable = run.macTable(IP, port)
+      assert.strictEqual(macLines(macTable).length, 60)
+      assert.match(macTable, /Total matching items on slot 0 displayed = 60$/)
+      assert.doesNotMatch(config + macTable, /More|\x1b|<Huawei>/)
+      assert.ok(!mock.history.includes('screen-length 0 temporary'))
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('disables paging with the brand preamble', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['display current-configuration'], mac: ['display mac-address'] }
+      }], {
+        Huawei: { connectionMethod: 'exec' }
+      })
+
+      assert.strictEqual(mock.history[0], 'screen-length 0 temporary')
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('fails a command whose output overflows the 1 MB exec buffer instead of saving it cut short', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei', { macCount: 20000 })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['display current-configuration'], mac: ['display mac-address'] }
+      }], {
+        Huawei: { connectionMethod: 'exec' }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'partial')
+      assert.match(run.config(IP, port), /\nreturn$/)
+      assert.strictEqual(run.macTable(IP, port), null)
+      const [error] = run.report(IP, port).commandErrors
+      assert.strictEqual(error.command, 'display mac-address')
+      assert.match(error.error, /exceeded the exec\(\) buffer/)
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('enable mode', () => {
+  it('enters privileged mode before running privileged commands', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('cisco', { password: 'secret', enablePassword: 'secret' })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Cisco',
+        username: 'admin',
+        password: 'secret',
+        requiresEnable: true,
+        enableCommand: 'enable',
+        commands: { config: ['show running-config'], mac: ['show mac address-table'] }
+      }], {
+        Cisco: { connectionMethod: 'exec', paginationInput: ' ', sessionPreamble: [] }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'success')
+      assert.strictEqual(mock.history[0], 'enable')
+      const config = run.config(IP, port)
+      assert.match(config, /^Building configuration\.\.\./)
+      assert.match(config, /\nhostname Switch\n/)
+      assert.match(config, /\nend$/)
+      assert.strictEqual(config.split('\n').filter(line => line.startsWith('interface FastEthernet')).length, 24)
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+      assert.doesNotMatch(config, /--More--|\x08|Switch#/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('masks non-ASCII passwords and enable secrets in session transcripts', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('cisco')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Cisco',
+        username: 'admin',
+        password: 'pässwort',
+        enableSecret: 'gehéim-€',
+        requiresEnable: true,
+        enableCommand: 'enable',
+        recordSession: true,
+        commands: { config: ['show version'], mac: [] }
+      }], {
+        Cisco: { connectionMethod: 'exec', sessionReleaseDelay: 100 }
+      })
+
+      const [file] = run.report(IP, port).transcripts
+      const transcript = fs.readFileSync(file, 'utf8')
+      // The enable secret is written to a shell stream as UTF-8 bytes, recorded as latin1
+      assert.strictEqual(mock.history[0], 'enable')
+      assert.strictEqual(transcript.match(/> "\*{8}(\\r)?\\n"/g).length, 2)
+      assert.doesNotMatch(transcript, /p(ä|Ã¤)ss|geh(é|Ã©)im/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('keeps no file for a privileged command rejected in user mode', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('cisco')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Cisco',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['show running-config'], mac: ['show mac address-table'] }
+      }], {
+        Cisco: { connectionMethod: 'exec' }
+      })
+
+      assert.strictEqual(run.config(IP, port), null)
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+      const [error] = run.report(IP, port).commandErrors
+      assert.strictEqual(error.command, 'show running-config')
+      assert.match(error.snippet, /% Invalid input detected/)
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('generic shell connection method', () => {
+  it('answers "press any key" pagers and strips the learned prompt', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('generic')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Generic',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['show running-config'], mac: ['show mac address-table'] }
+      }], {
+        Generic: { connectionMethod: 'shell', paginationInput: ' ' }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'success')
+      const config = run.config(IP, port)
+      assert.match(config, /^hostname switch\ninterface port 1\n/)
+      assert.match(config, /\ninterface port 40\n {2}vlan 10$/)
+      const macTable = run.macTable(IP, port)
+      assert.match(macTable, /^VLAN {2}MAC Address/)
+      assert.strictEqual(macLines(macTable).length, 60)
+      assert.doesNotMatch(config + macTable, /Press any key|switch#/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('does not take a config line ending in the prompt for the prompt', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('generic', {
+      commands: {
+        // The rest of the output arrives after a pause, when the first chunk ends in "switch#"
+        'show running-config': {
+          raw: ['show running-config\r\ninterface port 1\r\n  description uplink to switch#\r\n', '  vlan 10\r\nswitch#'],
+          pause: 300
+        }
+      }
+    })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Generic',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['show running-config'], mac: [] }
+      }], {
+        Generic: { connectionMethod: 'shell' }
+      })
+
+      assert.strictEqual(run.config(IP, port), 'interface port 1\n  description uplink to switch#\n  vlan 10')
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('D-Link shell', () => {
+  it('collects with clipaging disabled and restores it before logging out', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'D-Link',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['show config current_config'], mac: ['show fdb'] }
+      }], {
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100 }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'success')
+      assert.deepStrictEqual(mock.history, ['disable clipaging', 'show config current_config', 'show fdb', 'enable clipaging', 'logout'])
+      const config = run.config(IP, port)
+      assert.match(config, /^Command: show config current_config\n/)
+      assert.match(config, /#\s+End of configuration file\n#-+$/)
+      const macTable = run.macTable(IP, port)
+      assert.strictEqual(macLines(macTable).length, 60)
+      assert.match(macTable, /Total Entries: 60$/)
+      assert.doesNotMatch(macTable, /^config |^#|Logout|DGS-3120-24SC:admin#/m)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('finishes a command on the inactivity timeout and logs out after the last command', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link', {
+      commands: {
+        // Recorded reply that never returns to the prompt
+        'show log': { raw: ['show log\r\nCommand: show log\r\n\r\nIndex Date       Time     Log Text\r\n1     2024-05-14 08:30:00 Port 1:1 link up, 1Gbps FULL duplex\r\n'] }
+      }
+    })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'D-Link',
+        username: 'admin',
+        password: 'secret',
+        inactivityTimeout: 1500,
+        commands: { config: ['show config current_config'], mac: ['show fdb', 'show log'] }
+      }], {
+        // Paging left on (answered with "a") and no postamble, so the last command sends the logout
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100, sessionPreamble: [], sessionPostamble: [] }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'success')
+      assert.deepStrictEqual(mock.history, ['show config current_config', 'show fdb', 'show log', 'logout'])
+      // Blank lines are dropped from D-Link MAC output
+      const log = fs.readFileSync(path.join(run.dir, 'mac_tables', `127_0_0_1_${port}_show_log.mac`), 'utf8')
+      assert.strictEqual(log, 'Command: show log\nIndex Date       Time     Log Text\n1     2024-05-14 08:30:00 Port 1:1 link up, 1Gbps FULL duplex')
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+      assert.match(run.config(IP, port), /config vlan users add untagged 1-24/)
+      assert.doesNotMatch(run.config(IP, port), /CTRL\+C|Next Page/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('survives a device that closed the session before the postamble', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'D-Link',
+        username: 'admin',
+        password: 'secret',
+        inactivityTimeout: 1500,
+        // The device hangs up on "logout", so "enable clipaging" and "logout" of the postamble find a closed session
+        commands: { config: ['show config current_config', 'logout'], mac: [] }
+      }], {
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100 }
+      })
+
+      assert.deepStrictEqual(mock.history, ['disable clipaging', 'show config current_config', 'logout'])
+      assert.match(run.config(IP, port), /^Command: show config current_config\n/)
+      assert.ok(fs.readdirSync(path.join(run.collector.logsDir)).some(file => file.startsWith('run-report-')))
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('applies per-command options from object command entries', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link', {
+      commands: {
+        'show log': { raw: ['show log\r\nCommand: show log\r\n\r\nIndex Date       Time     Log Text\r\n1     2024-05-14 08:30:00 Port 1:1 link up, 1Gbps FULL duplex\r\n'] }
+      }
+    })
+    try {
+      const started = Date.now()
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'D-Link',
+        username: 'admin',
+        password: 'secret',
+        commands: {
+          config: [{ command: 'show switch', errorPatterns: ['/^Firmware Version/'] }],
+          mac: [
+            'show fdb',
+            // No prompt follows this reply: the pattern ends it instead of the 60 s inactivity window
+            { command: 'show log', completionPattern: '/link up.*duplex/', output: '{ip}_log.txt' }
+          ]
+        }
+      }], {
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100 }
+      })
+
+      assert.ok(Date.now() - started < 20000)
+      assert.deepStrictEqual(mock.history, ['disable clipaging', 'show switch', 'show fdb', 'show log', 'enable clipaging', 'logout'])
+      assert.strictEqual(run.config(IP, port), null)
+      const [error] = run.report(IP, port).commandErrors
+      assert.strictEqual(error.command, 'show switch')
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+      assert.match(fs.readFileSync(path.join(run.dir, 'mac_tables', `127_0_0_1_${port}_log.txt`), 'utf8'), /^Command: show log\nIndex Date/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('appends the remaining configuration with appendMissingConfig', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'D-Link',
+        username: 'admin',
+        password: 'secret',
+        appendMissingConfig: true,
+        commands: { config: ['show config current_config'], mac: ['show fdb'] }
+      }], {
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100 }
+      })
+
+      assert.ok(mock.history.includes('show config effective'))
+      const config = run.config(IP, port)
+      assert.match(config, /^Command: show config current_config\n/)
+      assert.match(config, /End of configuration file[\s\S]*Command: show config effective[\s\S]*config snmp system_name DGS-3120-24SC/)
+      assert.match(config, /create syslog host 1 ipaddress 192\.168\.1\.5/)
+      assert.doesNotMatch(config, /DGS-3120-24SC:admin#|Logout/)
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('console access', () => {
+  it('logs in on a console line that already shows the login prompt and logs out with exit', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('cisco', { username: 'admin', password: 'secret', loginRetryDelay: 200 })
+    try {
+      const run = await collect([{
+        ip: '10.0.0.1',
+        accessMode: 'console',
+        consoleServer: IP,
+        consolePort: port,
+        brand: 'Cisco',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['show version'], mac: [] }
+      }], {
+        Cisco: { sessionReleaseDelay: 100 }
+      })
+
+      assert.strictEqual(run.report('10.0.0.1').status, 'success')
+      assert.ok(!run.report('10.0.0.1').authFailed)
+      assert.match(run.config('10.0.0.1'), /^Cisco IOS Software/)
+      assert.deepStrictEqual(mock.history, ['terminal length 0', 'show version', 'exit'])
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('skips the console logout when the postamble already closed the session', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link', { username: 'admin', password: 'secret' })
+    try {
+      const run = await collect([{
+        ip: '10.0.0.1',
+        accessMode: 'console',
+        consoleServer: IP,
+        consolePort: port,
+        brand: 'D-Link',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['show config current_config'], mac: [] }
+      }], {
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100 }
+      })
+
+      assert.strictEqual(run.report('10.0.0.1').status, 'success')
+      assert.deepStrictEqual(mock.history, ['disable clipaging', 'show config current_config', 'enable clipaging', 'logout'])
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('credentials', () => {
+  it('falls back to the next credential set after a rejected login', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('cisco', { username: 'ops', password: 'right', loginRetryDelay: 200 })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Cisco',
+        username: 'ops',
+        password: 'wrong',
+        credentialSets: [{ name: 'fallback', username: 'ops', password: 'right' }],
+        commands: { config: ['show version'], mac: [] }
+      }], {
+        Cisco: { connectionMethod: 'exec', sessionReleaseDelay: 100 }
+      })
+
+      assert.strictEqual(run.report(IP, port).credentialSet, 'fallback')
+      assert.match(run.config(IP, port), /^Cisco IOS Software/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('keeps the state and files of devices behind one address apart by port', { timeout: TIMEOUT }, async () => {
+    const cisco = await startDevice('cisco', { password: 'first', loginRetryDelay: 200 })
+    const huawei = await startDevice('huawei', { password: 'second' })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port: cisco.port,
+        brand: 'Cisco',
+        username: 'admin',
+        password: 'wrong',
+        credentialSets: [{ name: 'fallback', username: 'admin', password: 'first' }],
+        commands: { config: ['show version'], mac: [] }
+      }, {
+        ip: IP,
+        port: huawei.port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'second',
+        commands: { config: ['display version'], mac: [] }
+      }], {
+        Cisco: { connectionMethod: 'exec', sessionReleaseDelay: 100 },
+        Huawei: { connectionMethod: 'exec' }
+      })
+
+      assert.deepStrictEqual(run.files('configs').sort(), [`127_0_0_1_${cisco.port}.cfg`, `127_0_0_1_${huawei.port}.cfg`].sort())
+      assert.match(run.config(IP, cisco.port), /^Cisco IOS Software/)
+      assert.match(run.config(IP, huawei.port), /^Huawei Versatile Routing Platform/)
+      assert.strictEqual(run.report(IP, cisco.port).credentialSet, 'fallback')
+      assert.strictEqual(run.report(IP, huawei.port).credentialSet, 'device')
+      const { devices } = run.collector.credentialState
+      assert.strictEqual(devices[`${IP}:${cisco.port}`].label, 'fallback')
+      assert.strictEqual(devices[`${IP}:${huawei.port}`].label, 'device')
+      assert.deepStrictEqual(Object.keys(JSON.parse(run.output('.', 'manifest.json')).devices).sort(),
+        [`${IP}:${cisco.port}`, `${IP}:${huawei.port}`].sort())
+    } finally {
+      await cisco.mock.stop()
+      await huawei.mock.stop()
+    }
+  })
+})
+
+describe('retries', () => {
+  it('retries a timed-out command on a new connection and reconnects for the next one', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei', {
+      commands: {
+        // Never returns to the prompt, so exec() times out while the session is mid-output
+        'display slow': { raw: ['display slow\r\nInfo: Collecting statistics, please wait...\r\n'] }
+      }
+    })
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        execTimeout: 1000,
+        commands: { config: ['display slow'], mac: ['display mac-address'] }
+      }], {
+        Huawei: { connectionMethod: 'exec' }
+      }, { maxRetries: 1 })
+
+      assert.deepStrictEqual(mock.history, [
+        'screen-length 0 temporary', 'display slow',
+        'screen-length 0 temporary', 'display slow',
+        'screen-length 0 temporary', 'display mac-address'
+      ])
+      assert.strictEqual(run.config(IP, port), null)
+      assert.strictEqual(run.report(IP, port).status, 'partial')
+      const macTable = run.macTable(IP, port)
+      assert.strictEqual(macLines(macTable).length, 60)
+      assert.doesNotMatch(macTable, /Collecting statistics/)
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('vendor autodetection', () => {
+  it('detects a device from its login banner and saves the brand to the device file', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('d-link')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        username: 'admin',
+        password: 'secret',
+        autodetect: 'save',
+        commands: { config: ['show config current_config'], mac: ['show fdb'] }
+      }], {
+        'D-Link': { connectionMethod: 'shell', paginationInput: 'a', sessionReleaseDelay: 100 }
+      })
+
+      assert.deepStrictEqual(run.report(IP, port).detectedVendor, { brand: 'D-Link', model: 'DGS-3120-24SC', source: 'banner' })
+      // D-Link session handling applies once the brand is known
+      assert.deepStrictEqual(mock.history, ['disable clipaging', 'show config current_config', 'show fdb', 'enable clipaging', 'logout'])
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+      const [saved] = JSON.parse(fs.readFileSync(path.join(run.dir, 'data', 'devices.json'), 'utf8'))
+      assert.strictEqual(saved.brand, 'D-Link')
+      assert.strictEqual(saved.model, 'DGS-3120-24SC')
+      assert.strictEqual(saved.password, 'secret')
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('probes the version when the banner does not identify the device', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['display current-configuration'], mac: ['display mac-address'] }
+      }], {
+        Huawei: { connectionMethod: 'exec' }
+      })
+
+      assert.deepStrictEqual(run.report(IP, port).detectedVendor, { brand: 'Huawei', model: 'S5700-28C-EI', source: 'display version' })
+      // Angle-bracket prompt: display version is tried first, then the Huawei preamble runs
+      assert.deepStrictEqual(mock.history.slice(0, 2), ['display version', 'screen-length 0 temporary'])
+      assert.match(run.config(IP, port), /^#\n sysname Huawei\n/)
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+    } finally {
+      await mock.stop()
+    }
+  })
+})
+
+describe('command categories', () => {
+  it('saves named categories from the device and its brand to their own files', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['display current-configuration'], mac: ['display mac-address'] }
+      }], {
+        Huawei: { connectionMethod: 'exec', commands: { version: ['display version'] }, categories: { version: { extension: 'ver' } } }
+      })
+
+      assert.strictEqual(run.report(IP, port).status, 'success')
+      assert.match(run.config(IP, port), /^#\n sysname Huawei\n/)
+      assert.strictEqual(macLines(run.macTable(IP, port)).length, 60)
+      assert.match(run.output('version', `127_0_0_1_${port}.ver`), /^Huawei Versatile Routing Platform Software\n/)
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('keeps the output of every command and maps commands to files in the manifest', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        commands: {
+          config: ['display current-configuration', 'display version'],
+          mac: ['display mac-address', 'display unknown-table', 'display version']
+        },
+        categories: { mac: { layout: 'sections' } }
+      }], {
+        Huawei: { connectionMethod: 'exec' }
+      })
+
+      assert.match(run.config(IP, port), /^#\n sysname Huawei\n/)
+      assert.match(fs.readFileSync(path.join(run.dir, 'configs', `127_0_0_1_${port}_display_version.cfg`), 'utf8'), /^Huawei Versatile Routing Platform/)
+      const macTable = run.macTable(IP, port)
+      assert.match(macTable, /^===== display mac-address =====\nMAC address table of slot 0:\n/)
+      assert.match(macTable, /displayed = 60\n\n===== display version =====\nHuawei Versatile Routing Platform/)
+      assert.doesNotMatch(macTable, /unknown-table/)
+      assert.deepStrictEqual(run.files('mac_tables'), [`127_0_0_1_${port}.mac`])
+
+      const { devices } = JSON.parse(run.output('.', 'manifest.json'))
+      const entries = category => devices[`${IP}:${port}`][category].map(({ command, file, section, status }) => ({ command, file: path.relative(run.dir, file), section, status }))
+      assert.deepStrictEqual(entries('config'), [
+        { command: 'display current-configuration', file: `configs/127_0_0_1_${port}.cfg`, section: undefined, status: 'saved' },
+        { command: 'display version', file: `configs/127_0_0_1_${port}_display_version.cfg`, section: undefined, status: 'saved' }
+      ])
+      assert.deepStrictEqual(entries('mac'), [
+        { command: 'display mac-address', file: `mac_tables/127_0_0_1_${port}.mac`, section: 1, status: 'saved' },
+        { command: 'display unknown-table', file: `mac_tables/127_0_0_1_${port}.mac`, section: undefined, status: 'failed' },
+        { command: 'display version', file: `mac_tables/127_0_0_1_${port}.mac`, section: 2, status: 'saved' }
+      ])
+    } finally {
+      await mock.stop()
+    }
+  })
+
+  it('collects only the categories selected with --collect', { timeout: TIMEOUT }, async () => {
+    const { mock, port } = await startDevice('huawei')
+    try {
+      const run = await collect([{
+        ip: IP,
+        port,
+        brand: 'Huawei',
+        username: 'admin',
+        password: 'secret',
+        commands: { config: ['display current-configuration'], mac: ['display mac-address'], version: ['display version'] }
+      }], {
+        Huawei: { connectionMethod: 'exec' }
+      }, { categories: ['version'] })
+
+      assert.deepStrictEqual(mock.history, ['screen-length 0 temporary', 'display version'])
+      assert.strictEqual(run.config(IP, port), null)
+      assert.strictEqual(run.macTable(IP, port), null)
+      assert.match(run.output('version', `127_0_0_1_${port}.txt`), /HUAWEI S5700-28C-EI Routing Switch/)
+    } finally {
+      await mock.stop()
+    }
+  })
+})
@@ -0,0 +1,78 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// index.js reads its logger settings when loaded and its directories when constructed, so the
+// environment is pinned here (ahead of any .env) and each run gets its own data/output folders
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'topology-collector-test-'))
+Object.assign(process.env, {
+  LOG_LEVEL: 'error',
+  LOG_FILE: path.join(workspace, 'collector.log'),
+  LOGS_DIR: path.join(workspace, 'logs'),
+  DEVICES_FILE: 'devices.json',
+  VAULT_FILE: path.join(workspace, 'credentials.vault'),
+  DEVICE_PASSWORD: '',
+  DEVICE_PASSWORD_FILE: '',
+  DEVICE_PASSWORD_FD: '',
+  TELNET_SOURCE_IP: '',
+  RECORD_SESSIONS: '',
+  COMMAND_DELAY: '10',
+  MAX_RETRIES: '0',
+  MAX_CONCURRENCY: '1',
+  CONCURRENCY_LIMITS: ''
+})
+
+const NetworkDeviceCollector = require('../index')
+const { MockDevice } = require('../mock-device')
+
+let runCount = 0
+
+// Start a simulated device and return it with a devices.json entry pointing at it
+async function startDevice(profile, options = {}) {
+  const mock = new MockDevice(profile, options)
+  const { port } = await mock.start()
+  return { mock, port }
+}
+
+// Run a full collection (collectAll) for the given devices and brand settings;
+// options.categories selects command categories like --collect, options.maxRetries overrides MAX_RETRIES
+async function collect(devices, brandSettings = {}, options = {}) {
+  const dir = path.join(workspace, `run-${++runCount}`)
+  const dataDir = path.join(dir, 'data')
+  fs.mkdirSync(dataDir, { recursive: true })
+  fs.writeFileSync(path.join(dataDir, 'devices.json'), JSON.stringify(devices, null, 2))
+  fs.writeFileSync(path.join(dataDir, 'brandSettings.json'), JSON.stringify(brandSettings, null, 2))
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    CONFIGS_DIR: path.join(dir, 'configs'),
+    MAC_TABLES_DIR: path.join(dir, 'mac_tables'),
+    OUTPUT_DIR: path.join(dir, 'output')
+  })
+
+  const collector = new NetworkDeviceCollector()
+  collector.collectCategories = options.categories || null
+  collector.maxRetries = options.maxRetries ?? collector.maxRetries
+  await collector.init()
+  await collector.collectAll()
+
+  const read = (folder, file) => {
+    const target = path.join(dir, folder, file)
+    return fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null
+  }
+  // Devices are looked up by ip and port, as the collector keys them
+  return {
+    collector,
+    dir,
+    report: (ip, port) => collector.runReport.devices[collector.deviceKey({ ip, port })],
+    config: (ip, port) => read('configs', `${collector.deviceFileName({ ip, port })}.cfg`),
+    macTable: (ip, port) => read('mac_tables', `${collector.deviceFileName({ ip, port })}.mac`),
+    output: (category, file) => read(path.join('output', category), file),
+    files: folder => fs.existsSync(path.join(dir, folder)) ? fs.readdirSync(path.join(dir, folder)) : []
+  }
+}
+
+function cleanup() {
+  fs.rmSync(workspace, { recursive: true, force: true })
+}
+
+module.exports = { collect, startDevice, cleanup }